@@ -6,31 +6,96 @@
  *
  * Usage:
  *   node index.js [--file=repo_list_file] [--source-github-token=token] [--target-github-token=token] [options]
+ *   node index.js validate [--file=repo_list_file]
+ *
+ * Commands:
+ *   validate                       Only validate the repository list file and exit (no tokens needed)
  *
  * Command Line Options:
  *   --file, -f                     Repository list YAML file (default: actions-list.yml)
  *   --source-github-token          GitHub PAT for source repositories
  *   --target-github-token          GitHub PAT for target repositories
+ *   --source-app-id                GitHub App ID (or client ID) to authenticate to the source with instead of a PAT
+ *   --source-app-private-key       Private key of the source GitHub App
+ *   --target-app-id                GitHub App ID (or client ID) to authenticate to the target with instead of a PAT
+ *   --target-app-private-key       Private key of the target GitHub App
  *   --source-github-api-url        Source GitHub API URL (default: https://api.github.com)
  *   --target-github-api-url        Target GitHub API URL (defaults to source API URL)
  *   --overwrite-repo-visibility    Overwrite visibility of existing repos to match YAML (default: false)
  *   --force-push                   Force push to target repositories (default: false)
+ *   --diverged-refs                skip, fail, or backup target refs that diverged from the source
+ *                                  (default: fail, or force-push with --force-push)
+ *   --dry-run                      Print what would change without modifying anything (default: false)
+ *   --concurrency                  Number of repositories to sync in parallel (default: 1)
+ *   --cache-dir                    Keep bare mirrors in this directory between runs and fetch deltas
+ *   --prune                        Delete target branches and tags that no longer exist in the source (default: false)
+ *   --api-retries                  Times to retry an API request after a rate limit or server error (default: 3)
+ *   --git-retries                  Times to retry a git clone, fetch, or push after a network error (default: 3)
+ *   --failure-policy               continue, fail-fast, never, or max-failures:N / max-failures:N% (default: continue)
  *   --help, -h                     Show help
  *
  * Repository List Format (YAML):
+ *   defaults:                            # optional: settings applied to every repo
+ *     visibility: internal
+ *   profiles:                            # optional: named settings that repos opt into with `profile`
+ *     archive:
+ *       archive-after-sync: true
  *   repos:
  *     - source: org1/repo1
  *       target: org2/repo1
  *       visibility: private              # private, public, or internal (defaults to private)
  *       disable-github-actions: true     # defaults to true
+ *       sync-variables: true             # copy Actions variables, report missing secrets (defaults to false)
+ *       sync-environments: true          # recreate deployment environments (defaults to false)
  *       archive-after-sync: false        # defaults to false
  *       sync-repo-description: true      # defaults to true
+ *       sync-topics: true                # defaults to false
+ *       extra-topics: [mirror]           # optional: topics always added on the target
+ *       sync-settings: true              # copy homepage, features, merge options and default branch (defaults to false)
  *     - source: org1/repo2
  *       target: org2/repo2
  *       visibility: public
  *       disable-github-actions: false    # override default
  *       archive-after-sync: true         # override default
  *       sync-repo-description: false     # override default
+ *       sync-settings:                   # or pick settings: inherit from the source, or set explicitly
+ *         default_branch: inherit
+ *         has_projects: false
+ *       teams:                           # optional: team slug → permission on the target
+ *         platform: maintain
+ *       collaborators:                   # optional: user login → permission on the target
+ *         octocat: push
+ *       sync-team-access: true           # copy the source's team permissions (defaults to false)
+ *       remove-unlisted-access: true     # remove teams and collaborators not listed (defaults to false)
+ *       profile: archive                 # apply a named profile (or a list of them)
+ *       branches:                        # optional: only push matching branches
+ *         include: [main, 'release/*']
+ *       tags:                            # optional: only push matching tags
+ *         exclude: ['nightly-*']
+ *       prune: true                      # delete target refs missing from the source (defaults to --prune)
+ *       diverged-refs: backup            # skip, fail, or backup diverged target refs (defaults to --diverged-refs)
+ *       sync-wiki: true                  # defaults to false
+ *       sync-releases: true              # defaults to false
+ *       sync-labels: true                # defaults to false
+ *       delete-extra-labels: true        # delete target labels not in the source (defaults to false)
+ *       sync-milestones: true            # defaults to false
+ *       delete-extra-milestones: true    # delete target milestones not in the source (defaults to false)
+ *       sync-issues: true                # copy issues, PRs (as issues) and comments (defaults to false)
+ *       sync-branch-protection: true     # recreate rulesets and classic branch protection (defaults to false)
+ *       actor-mapping:                   # optional: source → target team/app slugs and user logins
+ *         teams: { platform: platform-eng }
+ *         apps: { old-ci: new-ci }
+ *         users: { jdoe: jdoe-corp }
+ *       protected-refs: [main, 'v*']     # never delete these refs when pruning
+ *       optional: true                   # a failure is reported but doesn't fail the run (defaults to false)
+ *     - source: org3/*                   # every repo in org3 ...
+ *       target-org: org4                 # ... synced to org4 under the same name
+ *       include: ['service-*']           # optional name globs to include
+ *       exclude: ['*-deprecated']        # optional name globs to exclude
+ *       topics: [mirror]                 # optional: only repos with at least one of these topics
+ *       source-visibility: [public]      # optional: only repos with these source visibilities
+ *       skip-forks: true                 # defaults to false
+ *       skip-archived: true              # defaults to false
  *
  * Examples:
  *   node index.js --file=repos.yml
@@ -39,6 +104,11 @@
  *   node index.js --source-github-api-url=https://api.github.com --target-github-api-url=https://api.customersuccess.ghe.com
  *   node index.js --overwrite-repo-visibility --file=repos.yml
  *   node index.js --force-push --file=repos.yml
+ *   node index.js --dry-run --file=repos.yml
+ *   node index.js --concurrency=4 --file=repos.yml
+ *   node index.js --cache-dir=.mirror-cache --file=repos.yml
+ *   node index.js --prune --file=repos.yml
+ *   node index.js validate --file=repos.yml
  *
  * Environment Variables (fallback order):
  *   1. GitHub Actions inputs (INPUT_* variables) (highest priority)
@@ -52,8 +122,10 @@
  */
 
 import { Octokit } from '@octokit/rest';
-import { execSync } from 'child_process';
-import { readFileSync, existsSync, mkdtempSync } from 'fs';
+import { execFile } from 'child_process';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createSign } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdtempSync, statSync, rmSync } from 'fs';
 import { resolve, join } from 'path';
 import { tmpdir } from 'os';
 import yargs from 'yargs';
@@ -64,9 +136,59 @@ import * as yaml from 'js-yaml';
 // Constants
 const CREDENTIAL_REGEX = /x-access-token:[^@]{1,200}@/g;
 const CREDENTIAL_REPLACEMENT = 'x-access-token:***@';
+const EXEC_MAX_BUFFER = 64 * 1024 * 1024;
+const RETRY_BASE_DELAY_MS = 1000;
+// Longest wait for a rate limit to reset before giving up on the request
+const MAX_RETRY_WAIT_MS = 15 * 60 * 1000;
+// What to do with target refs that have diverged from the source (`force` is selected by --force-push)
+const DIVERGED_REF_POLICIES = ['skip', 'fail', 'backup'];
+// Failure policies that need no limit (`max-failures:N` is parsed separately)
+const FAILURE_POLICIES = ['continue', 'fail-fast', 'never'];
+
+// Built-in per-repository settings, overridden by `defaults:`, then profiles, then the repo entry itself
+const REPO_DEFAULTS = {
+  visibility: 'private',
+  'disable-github-actions': true,
+  'sync-variables': false,
+  'sync-environments': false,
+  'archive-after-sync': false,
+  'sync-repo-description': true,
+  'sync-topics': false,
+  'sync-settings': false,
+  'sync-team-access': false,
+  'remove-unlisted-access': false,
+  'sync-wiki': false,
+  'sync-releases': false,
+  'sync-labels': false,
+  'delete-extra-labels': false,
+  'sync-milestones': false,
+  'delete-extra-milestones': false,
+  'sync-issues': false,
+  'sync-branch-protection': false,
+  optional: false
+};
+
+// Repository settings that sync-settings copies from the source (repos.get / repos.update field names),
+// and the type an explicit value must have
+const REPO_SETTINGS = {
+  homepage: 'string',
+  has_issues: 'boolean',
+  has_projects: 'boolean',
+  has_wiki: 'boolean',
+  has_discussions: 'boolean',
+  allow_squash_merge: 'boolean',
+  allow_merge_commit: 'boolean',
+  allow_rebase_merge: 'boolean',
+  allow_auto_merge: 'boolean',
+  allow_update_branch: 'boolean',
+  delete_branch_on_merge: 'boolean',
+  web_commit_signoff_required: 'boolean',
+  default_branch: 'string'
+};
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
+  .command('validate', 'Validate the repository list file and exit')
   .option('file', {
     alias: 'f',
     type: 'string',
@@ -80,6 +202,22 @@ const argv = yargs(hideBin(process.argv))
     type: 'string',
     description: 'GitHub PAT for target repositories'
   })
+  .option('source-app-id', {
+    type: 'string',
+    description: 'GitHub App ID to authenticate to the source with (instead of a PAT)'
+  })
+  .option('source-app-private-key', {
+    type: 'string',
+    description: 'Private key of the source GitHub App'
+  })
+  .option('target-app-id', {
+    type: 'string',
+    description: 'GitHub App ID to authenticate to the target with (instead of a PAT)'
+  })
+  .option('target-app-private-key', {
+    type: 'string',
+    description: 'Private key of the target GitHub App'
+  })
   .option('source-github-api-url', {
     type: 'string',
     description: 'Source GitHub API URL',
@@ -100,6 +238,50 @@ const argv = yargs(hideBin(process.argv))
     description: 'Force push to target repositories (overwrites history)',
     default: false
   })
+  .option('diverged-refs', {
+    type: 'string',
+    description:
+      'What to do with target refs that have diverged from the source: skip them, fail, or back them up under refs/backup/ and force-push (default: fail, or force-push with --force-push)'
+  })
+  .option('dry-run', {
+    type: 'boolean',
+    description: 'Print a per-repository plan without making any changes',
+    default: false
+  })
+  .option('concurrency', {
+    type: 'number',
+    description: 'Number of repositories to sync in parallel',
+    default: 1
+  })
+  .option('cache-dir', {
+    type: 'string',
+    description: 'Directory for persistent bare mirrors; repeat runs fetch deltas instead of re-cloning'
+  })
+  .option('prune', {
+    type: 'boolean',
+    description: 'Delete target branches and tags that no longer exist in the source',
+    default: false
+  })
+  .option('api-retries', {
+    type: 'number',
+    description: 'Times to retry a GitHub API request after a rate limit or server error',
+    default: 3
+  })
+  .option('git-retries', {
+    type: 'number',
+    description: 'Times to retry a git clone, fetch, or push after a network error',
+    default: 3
+  })
+  .option('failure-policy', {
+    type: 'string',
+    description:
+      'What to do when repositories fail: continue, fail-fast, never, or max-failures:N (or N%) to stop after N failures',
+    default: 'continue'
+  })
+  .option('results-file', {
+    type: 'string',
+    description: 'Write a JSON report with every repository result and its timing to this file'
+  })
   .help()
   .alias('help', 'h')
   .example('$0 --file=repos.yml', 'Sync repositories listed in repos.yml')
@@ -107,8 +289,20 @@ const argv = yargs(hideBin(process.argv))
     '$0 --source-github-token=ghp_xxx --target-github-token=ghp_yyy',
     'Use different tokens for source and target'
   )
+  .example(
+    '$0 --source-app-id=123 --source-app-private-key="$(cat source.pem)" --target-github-token=ghp_yyy',
+    'Authenticate to the source as a GitHub App installed on each source org'
+  )
   .example('$0 --overwrite-repo-visibility --file=repos.yml', 'Update visibility of existing repos')
   .example('$0 --force-push --file=repos.yml', 'Force push to overwrite target repository history')
+  .example('$0 --diverged-refs=backup --file=repos.yml', 'Back up diverged target refs before overwriting them')
+  .example('$0 --dry-run --file=repos.yml', 'Show what would be synced without changing anything')
+  .example('$0 --concurrency=4 --file=repos.yml', 'Sync up to 4 repositories at a time')
+  .example('$0 --cache-dir=.mirror-cache --file=repos.yml', 'Reuse mirrors from previous runs')
+  .example('$0 --prune --file=repos.yml', 'Delete target refs that were removed from the source')
+  .example('$0 --failure-policy=max-failures:10% --file=repos.yml', 'Stop once 10% of the repositories have failed')
+  .example('$0 --results-file=results.json --file=repos.yml', 'Save per-repository results as JSON')
+  .example('$0 validate --file=repos.yml', 'Check repos.yml for errors without syncing')
   .wrap(null)
   .version()
   .parse();
@@ -144,6 +338,8 @@ export function deriveInstanceUrl(apiUrl) {
 }
 
 // Configuration - prioritize GitHub Actions inputs, then command line args, then environment variables
+const VALIDATE_ONLY = argv._.includes('validate');
+
 const REPO_LIST =
   core.getInput('repo-list-file') || process.env.INPUT_REPO_LIST_FILE || argv.file || 'actions-list.yml';
 
@@ -165,6 +361,29 @@ const OVERWRITE_VISIBILITY =
 const FORCE_PUSH =
   safeBooleanInput('force-push') || process.env.INPUT_FORCE_PUSH === 'true' || argv['force-push'] || false;
 
+const DIVERGED_REFS_INPUT =
+  core.getInput('diverged-refs') || process.env.INPUT_DIVERGED_REFS || argv['diverged-refs'] || '';
+
+// Without an explicit policy, force-push keeps overwriting diverged refs as it always has
+const DIVERGED_REFS = DIVERGED_REFS_INPUT || (FORCE_PUSH ? 'force' : 'fail');
+
+const DRY_RUN = safeBooleanInput('dry-run') || process.env.INPUT_DRY_RUN === 'true' || argv['dry-run'] || false;
+
+const CONCURRENCY = Number(core.getInput('concurrency') || process.env.INPUT_CONCURRENCY || argv.concurrency || 1);
+
+const CACHE_DIR = core.getInput('cache-dir') || process.env.INPUT_CACHE_DIR || argv['cache-dir'] || '';
+
+const PRUNE = safeBooleanInput('prune') || process.env.INPUT_PRUNE === 'true' || argv.prune || false;
+
+const API_RETRIES = Number(core.getInput('api-retries') || process.env.INPUT_API_RETRIES || argv['api-retries'] || 3);
+
+const GIT_RETRIES = Number(core.getInput('git-retries') || process.env.INPUT_GIT_RETRIES || argv['git-retries'] || 3);
+
+const FAILURE_POLICY_INPUT =
+  core.getInput('failure-policy') || process.env.INPUT_FAILURE_POLICY || argv['failure-policy'] || 'continue';
+
+const RESULTS_FILE = core.getInput('results-file') || process.env.INPUT_RESULTS_FILE || argv['results-file'] || '';
+
 // Source configuration
 const SOURCE_GITHUB_TOKEN =
   core.getInput('source-github-token') ||
@@ -182,6 +401,19 @@ const SOURCE_GITHUB_API_URL =
 // Derive source instance URL from API URL
 const SOURCE_GITHUB_URL = deriveInstanceUrl(SOURCE_GITHUB_API_URL);
 
+const SOURCE_APP_ID =
+  core.getInput('source-app-id') ||
+  process.env.INPUT_SOURCE_APP_ID ||
+  argv['source-app-id'] ||
+  process.env.SOURCE_APP_ID;
+
+const SOURCE_APP_PRIVATE_KEY = normalizePrivateKey(
+  core.getInput('source-app-private-key') ||
+    process.env.INPUT_SOURCE_APP_PRIVATE_KEY ||
+    argv['source-app-private-key'] ||
+    process.env.SOURCE_APP_PRIVATE_KEY
+);
+
 // Target configuration
 const TARGET_GITHUB_TOKEN =
   core.getInput('target-github-token') ||
@@ -199,23 +431,96 @@ const TARGET_GITHUB_API_URL =
 // Derive target instance URL from API URL
 const TARGET_GITHUB_URL = deriveInstanceUrl(TARGET_GITHUB_API_URL);
 
+const TARGET_APP_ID =
+  core.getInput('target-app-id') ||
+  process.env.INPUT_TARGET_APP_ID ||
+  argv['target-app-id'] ||
+  process.env.TARGET_APP_ID;
+
+const TARGET_APP_PRIVATE_KEY = normalizePrivateKey(
+  core.getInput('target-app-private-key') ||
+    process.env.INPUT_TARGET_APP_PRIVATE_KEY ||
+    argv['target-app-private-key'] ||
+    process.env.TARGET_APP_PRIVATE_KEY
+);
+
 // Validation
-if (!SOURCE_GITHUB_TOKEN) {
-  core.error('Error: SOURCE_GITHUB_TOKEN is required');
+for (const [side, token, appId, privateKey] of [
+  ['source', SOURCE_GITHUB_TOKEN, SOURCE_APP_ID, SOURCE_APP_PRIVATE_KEY],
+  ['target', TARGET_GITHUB_TOKEN, TARGET_APP_ID, TARGET_APP_PRIVATE_KEY]
+]) {
+  if (VALIDATE_ONLY) break;
+  if (Boolean(appId) !== Boolean(privateKey)) {
+    core.error(`Error: ${side}-app-id and ${side}-app-private-key must be set together`);
+    process.exit(1);
+  }
+  if (!token && !appId) {
+    core.error(`Error: ${side.toUpperCase()}_GITHUB_TOKEN (or ${side}-app-id and ${side}-app-private-key) is required`);
+    process.exit(1);
+  }
+}
+
+if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1) {
+  core.error(`Error: concurrency must be a positive integer (got '${CONCURRENCY}')`);
   process.exit(1);
 }
 
-if (!TARGET_GITHUB_TOKEN) {
-  core.error('Error: TARGET_GITHUB_TOKEN is required');
+let FAILURE_POLICY;
+try {
+  FAILURE_POLICY = parseFailurePolicy(FAILURE_POLICY_INPUT);
+} catch (error) {
+  core.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
-core.info('Configuration:');
-core.info(`  Source: ${SOURCE_GITHUB_URL} (API: ${SOURCE_GITHUB_API_URL})`);
-core.info(`  Target: ${TARGET_GITHUB_URL} (API: ${TARGET_GITHUB_API_URL})`);
-core.info(
-  `  Tokens: ${TARGET_GITHUB_TOKEN === SOURCE_GITHUB_TOKEN ? 'same token for both' : 'different tokens'} for source/target`
-);
+if (DIVERGED_REFS_INPUT && !DIVERGED_REF_POLICIES.includes(DIVERGED_REFS_INPUT)) {
+  core.error(`Error: diverged-refs must be one of ${DIVERGED_REF_POLICIES.join(', ')} (got '${DIVERGED_REFS_INPUT}')`);
+  process.exit(1);
+}
+
+for (const [name, retries] of [
+  ['api-retries', API_RETRIES],
+  ['git-retries', GIT_RETRIES]
+]) {
+  if (!Number.isInteger(retries) || retries < 0) {
+    core.error(`Error: ${name} must be zero or a positive integer (got '${retries}')`);
+    process.exit(1);
+  }
+}
+
+if (!VALIDATE_ONLY) {
+  core.info('Configuration:');
+  core.info(`  Source: ${SOURCE_GITHUB_URL} (API: ${SOURCE_GITHUB_API_URL})`);
+  core.info(`  Target: ${TARGET_GITHUB_URL} (API: ${TARGET_GITHUB_API_URL})`);
+  if (SOURCE_APP_ID || TARGET_APP_ID) {
+    const describeAuth = appId => (appId ? `GitHub App ${appId} (installation token per org)` : 'token');
+    core.info(`  Auth: source via ${describeAuth(SOURCE_APP_ID)}, target via ${describeAuth(TARGET_APP_ID)}`);
+  } else {
+    core.info(
+      `  Tokens: ${TARGET_GITHUB_TOKEN === SOURCE_GITHUB_TOKEN ? 'same token for both' : 'different tokens'} for source/target`
+    );
+  }
+  core.info(`  Concurrency: ${CONCURRENCY}`);
+  core.info(`  Retries: ${API_RETRIES} per API request, ${GIT_RETRIES} per git clone/fetch/push`);
+  if (FAILURE_POLICY.mode !== 'continue') {
+    core.info(`  Failure policy: ${FAILURE_POLICY_INPUT}`);
+  }
+  if (CACHE_DIR) {
+    core.info(`  Mirror cache: ${resolve(CACHE_DIR)}`);
+  }
+  if (DIVERGED_REFS !== 'fail') {
+    core.info(`  Diverged refs: ${DIVERGED_REFS === 'force' ? 'force-push (no backup)' : DIVERGED_REFS}`);
+  }
+  if (PRUNE) {
+    core.info('  Prune: enabled (target refs missing from the source are deleted)');
+  }
+  if (RESULTS_FILE) {
+    core.info(`  Results file: ${resolve(RESULTS_FILE)}`);
+  }
+  if (DRY_RUN) {
+    core.info('  Mode: dry run (no changes will be made)');
+  }
+}
 
 const repoListPath = resolve(REPO_LIST);
 if (!existsSync(repoListPath)) {
@@ -223,53 +528,420 @@ if (!existsSync(repoListPath)) {
   process.exit(1);
 }
 
-// Initialize Octokit instances
-const sourceOctokit = new Octokit({
-  auth: SOURCE_GITHUB_TOKEN,
-  baseUrl: SOURCE_GITHUB_API_URL === 'https://api.github.com' ? undefined : SOURCE_GITHUB_API_URL
+/**
+ * Check whether a request body is a Node or web stream, which can only be read once
+ */
+function isStreamBody(data) {
+  return typeof data?.pipe === 'function' || typeof data?.getReader === 'function';
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolvePromise => setTimeout(resolvePromise, ms));
+}
+
+/**
+ * Work out how long to wait before retrying a failed API request. Rate limits wait for
+ * `retry-after`, or until `x-ratelimit-reset` once the quota is used up; secondary rate limits
+ * without either header wait at least a minute. Server and network errors back off exponentially.
+ * @param {Error} error - Request error from Octokit.
+ * @param {number} attempt - Retry number, starting at 1.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {number|null} Delay in milliseconds, or null if the request shouldn't be retried.
+ */
+export function getRetryDelay(error, attempt, now = Date.now()) {
+  const headers = error.response?.headers ?? {};
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+
+  let delay = null;
+  if (error.status === 403 || error.status === 429) {
+    if (headers['retry-after'] !== undefined) {
+      delay = Number(headers['retry-after']) * 1000;
+    } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset'] !== undefined) {
+      // The reset time has one-second resolution, so wait a second past it
+      delay = Math.max(Number(headers['x-ratelimit-reset']) * 1000 - now, 0) + 1000;
+    } else if (error.status === 429 || /secondary rate limit/i.test(error.message)) {
+      delay = Math.max(60 * 1000, backoff);
+    }
+  } else if ([500, 502, 503, 504].includes(error.status)) {
+    // Network failures also surface as status 500
+    delay = backoff;
+  }
+
+  return delay === null || Number.isNaN(delay) || delay > MAX_RETRY_WAIT_MS ? null : delay;
+}
+
+/**
+ * Retry an Octokit client's requests after rate limits and server errors (up to `api-retries`
+ * times). A rate limit pauses every request on the client until it resets, so concurrent
+ * workers don't keep hitting it.
+ * @param {Octokit} octokit - Client to wrap.
+ * @param {string} name - Client name for the log (`source` or `target`).
+ * @returns {Octokit} The same client.
+ */
+function withRetries(octokit, name) {
+  let resumeAt = 0;
+
+  octokit.hook.wrap('request', async (request, options) => {
+    // A streamed body is used up by the first attempt, so the caller has to retry with a new stream
+    const retries = isStreamBody(options.data) ? 0 : API_RETRIES;
+
+    for (let attempt = 1; ; attempt++) {
+      if (resumeAt > Date.now()) await sleep(resumeAt - Date.now());
+
+      try {
+        return await request(options);
+      } catch (error) {
+        const delay = attempt <= retries ? getRetryDelay(error, attempt) : null;
+        if (delay === null) throw error;
+
+        if (error.status === 403 || error.status === 429) resumeAt = Math.max(resumeAt, Date.now() + delay);
+        log.warning(
+          `${name} API ${options.method} ${options.url} failed (${error.status ?? 'network error'}: ` +
+            `${sanitizeError(error)}); retry ${attempt}/${API_RETRIES} in ${Math.ceil(delay / 1000)}s`
+        );
+        await sleep(delay);
+      }
+    }
+  });
+
+  return octokit;
+}
+
+/**
+ * Accept a PEM private key with its line breaks escaped as `\n`, as secrets and .env files often hold it
+ */
+function normalizePrivateKey(key) {
+  return key ? key.replace(/\\n/g, '\n') : key;
+}
+
+/**
+ * Create the JSON Web Token a GitHub App authenticates with to look up installations and mint
+ * installation tokens. It is backdated a minute for clock drift and valid for ten minutes.
+ * @param {string} appId - App ID, or the app's client ID.
+ * @param {string} privateKey - PEM private key of the app.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {string} Signed RS256 JWT.
+ */
+export function createAppJwt(appId, privateKey, now = Date.now()) {
+  const seconds = Math.floor(now / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const claims = { iat: seconds - 60, exp: seconds + 9 * 60, iss: /^\d+$/.test(appId) ? Number(appId) : appId };
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url')}`;
+}
+
+// Installation tokens are replaced once they have less than this left, so a long git push never outlives one
+const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+/**
+ * Create the credentials for one side of the sync: either a fixed token, or a GitHub App that
+ * gets an installation token for each owner it's used with. Installation tokens are cached
+ * and replaced shortly before they expire, so long runs never use an expired token.
+ * @param {Object} options
+ * @param {string} options.name - Side of the sync for messages (`source` or `target`).
+ * @param {string} options.url - Instance URL git commands authenticate against.
+ * @param {string} options.apiUrl - API URL of the instance.
+ * @param {string} [options.token] - Token to use when no app is configured.
+ * @param {string} [options.appId] - GitHub App ID or client ID.
+ * @param {string} [options.privateKey] - PEM private key of the app.
+ * @returns {{name: string, url: string, token?: string, appId?: string, getToken: (owner: string) => Promise<string>}}
+ */
+export function createCredentials({ name, url, apiUrl, token, appId, privateKey }) {
+  if (!appId) return { name, url, token, getToken: async () => token };
+
+  const appOctokit = withRetries(
+    new Octokit({ baseUrl: apiUrl === 'https://api.github.com' ? undefined : apiUrl }),
+    `${name} app`
+  );
+  const installationIds = new Map();
+  const installationTokens = new Map();
+
+  async function findInstallation(owner, headers) {
+    for (const lookup of [
+      () => appOctokit.rest.apps.getOrgInstallation({ org: owner, headers }),
+      () => appOctokit.rest.apps.getUserInstallation({ username: owner, headers })
+    ]) {
+      try {
+        const { data } = await lookup();
+        return data.id;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+    throw new Error(`The ${name} GitHub App (${appId}) is not installed on '${owner}'`);
+  }
+
+  async function createInstallationToken(owner) {
+    const headers = { authorization: `bearer ${createAppJwt(appId, privateKey)}` };
+    if (!installationIds.has(owner)) installationIds.set(owner, await findInstallation(owner, headers));
+
+    const { data } = await appOctokit.rest.apps.createInstallationAccessToken({
+      installation_id: installationIds.get(owner),
+      headers
+    });
+    core.setSecret(data.token);
+    log.info(`🔑 New ${name} installation token for ${owner} (expires ${data.expires_at})`);
+    return { token: data.token, expiresAt: Date.parse(data.expires_at) };
+  }
+
+  async function getToken(owner) {
+    const key = String(owner).toLowerCase();
+    const cached = installationTokens.get(key);
+    if (cached) {
+      try {
+        const { token: installationToken, expiresAt } = await cached;
+        if (expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) return installationToken;
+      } catch {
+        // Failed before; try again below
+      }
+    }
+
+    // Concurrent callers share one request for a new token
+    if (installationTokens.get(key) === cached) installationTokens.set(key, createInstallationToken(key));
+    return (await installationTokens.get(key)).token;
+  }
+
+  return { name, url, appId, getToken };
+}
+
+// Source and target owners of the repository being processed, for requests that don't name
+// one themselves (such as the follow-up pages of a paginated list)
+const ownerContext = new AsyncLocalStorage();
+
+/**
+ * Create the Octokit client for one side of the sync. With a GitHub App, every request is
+ * sent with the installation token of the owner it's for.
+ * @param {Object} credentials - Credentials from createCredentials.
+ * @param {string} apiUrl - API URL of the instance.
+ * @returns {Octokit} Client with retries.
+ */
+function createOctokit(credentials, apiUrl) {
+  const octokit = new Octokit({
+    auth: credentials.token,
+    baseUrl: apiUrl === 'https://api.github.com' ? undefined : apiUrl
+  });
+
+  if (credentials.appId) {
+    octokit.hook.before('request', async options => {
+      const owner = options.owner ?? options.org ?? ownerContext.getStore()?.[credentials.name];
+      if (!owner) {
+        throw new Error(`Can't tell which ${credentials.name} GitHub App installation to use for ${options.url}`);
+      }
+      options.headers.authorization = `token ${await credentials.getToken(owner)}`;
+    });
+  }
+
+  return withRetries(octokit, credentials.name);
+}
+
+const sourceCredentials = createCredentials({
+  name: 'source',
+  url: SOURCE_GITHUB_URL,
+  apiUrl: SOURCE_GITHUB_API_URL,
+  token: SOURCE_GITHUB_TOKEN,
+  appId: SOURCE_APP_ID,
+  privateKey: SOURCE_APP_PRIVATE_KEY
 });
 
-const targetOctokit = new Octokit({
-  auth: TARGET_GITHUB_TOKEN,
-  baseUrl: TARGET_GITHUB_API_URL === 'https://api.github.com' ? undefined : TARGET_GITHUB_API_URL
+const targetCredentials = createCredentials({
+  name: 'target',
+  url: TARGET_GITHUB_URL,
+  apiUrl: TARGET_GITHUB_API_URL,
+  token: TARGET_GITHUB_TOKEN,
+  appId: TARGET_APP_ID,
+  privateKey: TARGET_APP_PRIVATE_KEY
 });
 
+// Initialize Octokit instances
+const sourceOctokit = createOctokit(sourceCredentials, SOURCE_GITHUB_API_URL);
+
+const targetOctokit = createOctokit(targetCredentials, TARGET_GITHUB_API_URL);
+
+// Per-repository log buffer, set while a repository is being processed concurrently
+const logContext = new AsyncLocalStorage();
+
 /**
- * GitHub Actions grouping helper
+ * Logger that writes through to @actions/core, or into the current repository's
+ * buffer when running concurrently so each repository's output stays together
+ */
+const log = {
+  info: message => writeLog(core.info, message),
+  warning: message => writeLog(core.warning, message),
+  error: message => writeLog(core.error, message)
+};
+
+function writeLog(write, message) {
+  const buffer = logContext.getStore();
+  if (buffer) {
+    buffer.push({ write, message });
+  } else {
+    write(message);
+  }
+}
+
+/**
+ * GitHub Actions grouping helper. With concurrency > 1, output is buffered and
+ * written as a single group once the work finishes.
  */
 async function githubGroup(name, fn) {
-  core.info(`::group::${name}`);
+  if (CONCURRENCY <= 1) {
+    core.info(`::group::${name}`);
+
+    try {
+      return await fn();
+    } finally {
+      core.info('::endgroup::');
+    }
+  }
 
+  const buffer = [];
   try {
-    return await fn();
+    return await logContext.run(buffer, fn);
   } finally {
+    core.info(`::group::${name}`);
+    for (const { write, message } of buffer) {
+      write(message);
+    }
     core.info('::endgroup::');
   }
 }
 
+/**
+ * Run an async worker over items with at most `concurrency` in flight at once.
+ * Results are returned in the same order as the input items.
+ * @template T, R
+ * @param {T[]} items - Items to process.
+ * @param {number} concurrency - Maximum number of workers running at the same time.
+ * @param {(item: T, index: number) => Promise<R>} worker - Async function applied to each item.
+ * @param {Object} [options]
+ * @param {() => boolean} [options.shouldStop] - Checked before each item is started; once it returns
+ *   true no further items are started, and work already in flight finishes.
+ * @returns {Promise<R[]>} Worker results, index-aligned with `items` (undefined for items never started).
+ */
+export async function runWithConcurrency(items, concurrency, worker, { shouldStop = () => false } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
 /**
  * Sanitize error messages to remove embedded credentials
+ * @param {Error|string} error - Error, or an error message.
  */
 export function sanitizeError(error) {
-  return error.message.replace(CREDENTIAL_REGEX, CREDENTIAL_REPLACEMENT);
+  const message = typeof error === 'string' ? error : error.message;
+  return message.replace(CREDENTIAL_REGEX, CREDENTIAL_REPLACEMENT);
+}
+
+// Git errors worth retrying: the network or the server failed, not the command itself
+const TRANSIENT_GIT_ERROR_REGEX =
+  /Could not resolve host|Connection (timed out|reset|refused)|Failed to connect|Operation timed out|early EOF|unexpected disconnect|remote end hung up|RPC failed|returned error: 5\d\d|HTTP 5\d\d|gnutls_handshake|SSL_read|TLS connection/i;
+
+/**
+ * Check whether a failed git command hit a transient network or server error
+ * @param {string} message - Error message (including git's stderr).
+ * @returns {boolean} True if running the command again may succeed.
+ */
+export function isTransientGitError(message) {
+  return TRANSIENT_GIT_ERROR_REGEX.test(message);
+}
+
+/**
+ * Build the environment for a git command that talks to a GitHub instance. The token is sent
+ * as an `http.<instance>/.extraheader` set through GIT_CONFIG_* variables, so it never appears
+ * in the command line, a remote URL, or a config file. git-lfs reads the same setting.
+ * @param {{credentials: Object, owner: string}} auth - Credentials of the instance (see
+ *   createCredentials) and the owner of the repository the command talks to.
+ * @returns {Promise<Object>} Environment variables for the git process.
+ */
+async function gitAuthEnv({ credentials, owner }) {
+  const token = await credentials.getToken(owner);
+  const header = Buffer.from(`x-access-token:${token}`).toString('base64');
+  return {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_CONFIG_COUNT: '1',
+    GIT_CONFIG_KEY_0: `http.${credentials.url}/.extraheader`,
+    GIT_CONFIG_VALUE_0: `AUTHORIZATION: basic ${header}`
+  };
+}
+
+/**
+ * Run git with an argument list (no shell involved). Resolves with stdout; command output
+ * is logged (with credentials stripped) unless `silent` is set. With `auth`, the command is
+ * authenticated as that owner's credentials (see gitAuthEnv). With `retries`, a command that fails
+ * with a transient network error is run again after an exponential backoff.
+ */
+async function execGit(args, options = {}) {
+  const { retries = 0, ...runOptions } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runGit(args, runOptions);
+    } catch (error) {
+      if (attempt > retries || !isTransientGitError(error.message)) throw error;
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      log.warning(`git ${args[0]} failed with a network error; retry ${attempt}/${retries} in ${delay / 1000}s`);
+      await sleep(delay);
+    }
+  }
 }
 
 /**
- * Execute shell command with error handling
+ * Run git once (see execGit)
  */
-function execCommand(command, options = {}) {
+async function runGit(args, options = {}) {
+  const { auth, silent = false, ...execOptions } = options;
+  const env = auth ? await gitAuthEnv(auth) : undefined;
+
+  return new Promise((resolvePromise, rejectPromise) => {
+    execFile(
+      'git',
+      args,
+      {
+        encoding: 'utf8',
+        maxBuffer: EXEC_MAX_BUFFER,
+        ...(env && { env }),
+        ...execOptions
+      },
+      (error, stdout, stderr) => {
+        if (!silent) {
+          const output = `${stdout || ''}${stderr || ''}`.trim();
+          if (output) log.info(output.replace(CREDENTIAL_REGEX, CREDENTIAL_REPLACEMENT));
+        }
+
+        if (error) {
+          error.message = sanitizeError(error);
+          rejectPromise(error);
+        } else {
+          resolvePromise(stdout);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete a directory tree, logging rather than throwing if it can't be removed
+ */
+function removeDirectory(dir) {
   try {
-    return execSync(command, {
-      stdio: 'inherit',
-      encoding: 'utf8',
-      ...options
-    });
+    rmSync(dir, { recursive: true, force: true });
   } catch (error) {
-    if (!options.ignoreErrors) {
-      error.message = sanitizeError(error);
-      throw error;
-    }
-    core.info(`Command failed (ignoring): ${command}`);
+    log.info(`Could not remove ${dir}: ${error.message}`);
   }
 }
 
@@ -278,25 +950,50 @@ function execCommand(command, options = {}) {
  * visibility/description on the existing target.
  * @param {string} targetOrg - Target organization (owner) login.
  * @param {string} targetRepo - Target repository name.
- * @param {('private'|'public'|'internal')} [visibility='private'] - Desired visibility for create/update.
- * @param {string} [description=''] - Desired repository description.
- * @param {boolean} [overwriteVisibility=false] - When true, update visibility on existing repos to match.
- * @param {boolean} [syncDescription=true] - When true, update description on existing repos to match.
- * @returns {Promise<{created: boolean, visibilityUpdated: boolean, descriptionUpdated: boolean}>}
- *   Flags describing what changed on the target repository.
+ * @param {Object} [options]
+ * @param {('private'|'public'|'internal')} [options.visibility='private'] - Desired visibility for create/update.
+ * @param {string} [options.description=''] - Desired repository description.
+ * @param {boolean} [options.overwriteVisibility=false] - When true, update visibility on existing repos to match.
+ * @param {boolean} [options.syncDescription=true] - When true, update description on existing repos to match.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change; no create/update calls are made.
+ * @param {boolean} [options.enableWiki=false] - When true, enable the wiki on the target if it is disabled.
+ * @param {{source?: string[], extra?: string[]}} [options.topics] - When set, make the target's topics the source
+ *   topics (or its current topics, if `source` is unset) plus `extra`.
+ * @param {{teams: Object<string, string>, collaborators: Object<string, string>, removeUnlisted: boolean}}
+ *   [options.access] - When set, grant these team and collaborator permissions on the target (see syncAccess).
+ * @returns {Promise<{
+ *   created: boolean,
+ *   visibilityUpdated: boolean,
+ *   descriptionUpdated: boolean,
+ *   topicsUpdated: boolean,
+ *   topics?: string[],
+ *   access?: {granted: number, removed: number, failed: string[], steps: string[]},
+ *   wikiEnabled: boolean,
+ *   archived: boolean
+ * }>}
+ *   Flags describing what changed (or would change) on the target repository, plus its current archived state.
  */
 export async function ensureRepository(
   targetOrg,
   targetRepo,
-  visibility = 'private',
-  description = '',
-  overwriteVisibility = false,
-  syncDescription = true
+  {
+    visibility = 'private',
+    description = '',
+    overwriteVisibility = false,
+    syncDescription = true,
+    dryRun = false,
+    enableWiki = false,
+    topics,
+    access
+  } = {}
 ) {
   const status = {
     created: false,
     visibilityUpdated: false,
-    descriptionUpdated: false
+    descriptionUpdated: false,
+    topicsUpdated: false,
+    wikiEnabled: false,
+    archived: false
   };
 
   try {
@@ -305,7 +1002,8 @@ export async function ensureRepository(
       repo: targetRepo
     });
 
-    core.info('repo exists');
+    log.info('repo exists');
+    status.archived = Boolean(repo.archived);
 
     const updates = {};
     let needsUpdate = false;
@@ -314,15 +1012,15 @@ export async function ensureRepository(
     if (overwriteVisibility) {
       const currentVisibility = repo.visibility;
 
-      core.info(`Current visibility: ${currentVisibility}, Target visibility: ${visibility}`);
+      log.info(`Current visibility: ${currentVisibility}, Target visibility: ${visibility}`);
 
       if (currentVisibility !== visibility) {
-        core.info(`Updating visibility from ${currentVisibility} to ${visibility}`);
+        log.info(`Updating visibility from ${currentVisibility} to ${visibility}`);
         updates.visibility = visibility;
         status.visibilityUpdated = true;
         needsUpdate = true;
       } else {
-        core.info(`Visibility already matches (${currentVisibility})`);
+        log.info(`Visibility already matches (${currentVisibility})`);
       }
     }
 
@@ -332,35 +1030,78 @@ export async function ensureRepository(
       const targetDescription = description || '';
 
       if (currentDescription !== targetDescription) {
-        core.info(`Description differs - updating from "${currentDescription}" to "${targetDescription}"`);
+        log.info(`Description differs - updating from "${currentDescription}" to "${targetDescription}"`);
         updates.description = targetDescription;
         status.descriptionUpdated = true;
         needsUpdate = true;
       } else {
-        core.info(`Description already matches`);
+        log.info(`Description already matches`);
       }
     } else {
-      core.info(`Skipping description sync (sync-repo-description=false)`);
+      log.info(`Skipping description sync (sync-repo-description=false)`);
+    }
+
+    // Check if we need to enable the wiki
+    if (enableWiki && !repo.has_wiki) {
+      log.info('Enabling wiki');
+      updates.has_wiki = true;
+      status.wikiEnabled = true;
+      needsUpdate = true;
     }
 
     // Apply updates if needed
-    if (needsUpdate) {
+    if (needsUpdate && dryRun) {
+      log.info(`[dry run] Would update repository: ${Object.keys(updates).join(', ')}`);
+    } else if (needsUpdate) {
       try {
         await targetOctokit.rest.repos.update({
           owner: targetOrg,
           repo: targetRepo,
           ...updates
         });
-        core.info(`Repository updated successfully`);
+        log.info(`Repository updated successfully`);
       } catch (updateError) {
-        core.warning(`Could not update repository: ${updateError.message}`);
+        log.warning(`Could not update repository: ${updateError.message}`);
+      }
+    }
+
+    // Check if we need to update topics (these have their own endpoint)
+    if (topics) {
+      const currentTopics = mergeTopics(repo.topics);
+      const targetTopics = mergeTopics(topics.source ?? currentTopics, topics.extra);
+
+      if (currentTopics.join(',') !== targetTopics.join(',')) {
+        log.info(`Topics differ - updating from [${currentTopics.join(', ')}] to [${targetTopics.join(', ')}]`);
+        status.topicsUpdated = true;
+        status.topics = targetTopics;
+        if (dryRun) {
+          log.info('[dry run] Would replace topics');
+        } else {
+          await replaceTopics(targetOrg, targetRepo, targetTopics);
+        }
+      } else {
+        log.info('Topics already match');
       }
     }
 
+    if (access) status.access = await syncAccess(targetOrg, targetRepo, access, { dryRun });
+
     return status;
   } catch (error) {
     if (error.status === 404) {
-      core.info(`repo does not exist`);
+      log.info(`repo does not exist`);
+
+      if (dryRun) {
+        log.info(`[dry run] Would create repo (${visibility})`);
+        status.created = true;
+        const targetTopics = topics ? mergeTopics(topics.source, topics.extra) : [];
+        if (targetTopics.length > 0) {
+          status.topicsUpdated = true;
+          status.topics = targetTopics;
+        }
+        if (access) status.access = await syncAccess(targetOrg, targetRepo, access, { targetExists: false, dryRun });
+        return status;
+      }
 
       try {
         const isPrivate = visibility === 'private' || visibility === 'internal';
@@ -369,90 +1110,2847 @@ export async function ensureRepository(
           name: targetRepo,
           private: isPrivate,
           visibility,
-          description
+          description,
+          ...(enableWiki && { has_wiki: true })
         });
 
-        core.info(`repo created (${visibility})`);
+        log.info(`repo created (${visibility})`);
         status.created = true;
+
+        const targetTopics = topics ? mergeTopics(topics.source, topics.extra) : [];
+        if (targetTopics.length > 0) {
+          await replaceTopics(targetOrg, targetRepo, targetTopics);
+          status.topicsUpdated = true;
+          status.topics = targetTopics;
+        }
+        if (access) status.access = await syncAccess(targetOrg, targetRepo, access, { targetExists: false });
         return status;
       } catch (createError) {
-        core.error(`repo creation failed: ${createError.message}`);
+        log.error(`repo creation failed: ${createError.message}`);
         throw new Error(`Failed to create repository ${targetOrg}/${targetRepo}: ${createError.message}`);
       }
     } else {
-      core.error(`query repo failed: ${error.message}`);
+      log.error(`query repo failed: ${error.message}`);
       throw new Error(`Failed to query repository ${targetOrg}/${targetRepo}: ${error.message}`);
     }
   }
 }
 
 /**
- * Disable GitHub Actions on a repository
+ * Combine topic lists into the sorted, de-duplicated, lowercase list GitHub stores
+ * @param {...(string[]|string|undefined)} lists - Topic lists (or single topics) to combine.
+ * @returns {string[]} Combined topics.
  */
-async function disableActions(targetOrg, targetRepo) {
+export function mergeTopics(...lists) {
+  const topics = lists.flatMap(list => [].concat(list ?? [])).map(topic => String(topic).toLowerCase());
+  return [...new Set(topics)].sort();
+}
+
+/**
+ * Replace all topics of a repository
+ */
+async function replaceTopics(targetOrg, targetRepo, names) {
   try {
-    await targetOctokit.rest.actions.setGithubActionsPermissionsRepository({
+    await targetOctokit.rest.repos.replaceAllTopics({
       owner: targetOrg,
       repo: targetRepo,
-      enabled: false
+      names
     });
-    core.info('🚫 GitHub Actions disabled');
+    log.info(`Topics updated: ${names.join(', ') || '(none)'}`);
     return true;
   } catch (error) {
-    core.warning(`Could not disable GitHub Actions: ${error.message}`);
+    log.warning(`Could not update topics: ${error.message}`);
     return false;
   }
 }
 
+// Permission names the collaborator and invitation APIs report, mapped to the names used to grant them
+const PERMISSION_ALIASES = { read: 'pull', write: 'push' };
+
 /**
- * Check if repository is archived and unarchive if needed
+ * Work out which team and collaborator grants to add, change or remove on the target. Names are
+ * compared case-insensitively and `read`/`write` are treated as `pull`/`push`.
+ * @param {{teams?: Object<string, string>, collaborators?: Object<string, string>}} wanted - Configured access.
+ * @param {{teams?: Object<string, string>, collaborators?: Object<string, string>}} current - Access on the target.
+ * @param {boolean} [removeUnlisted=false] - Also remove access that isn't configured.
+ * @returns {Array<{kind: ('teams'|'collaborators'), name: string, action: ('grant'|'change'|'remove'), from?: string, to?: string}>}
+ *   Changes to make.
  */
-async function ensureRepositoryUnarchived(targetOrg, targetRepo) {
-  try {
-    const { data: repo } = await targetOctokit.rest.repos.get({
-      owner: targetOrg,
-      repo: targetRepo
-    });
+export function planAccessChanges(wanted, current, removeUnlisted = false) {
+  const normalize = grants =>
+    new Map(
+      Object.entries(grants ?? {}).map(([name, permission]) => [
+        name.toLowerCase(),
+        PERMISSION_ALIASES[permission] ?? permission
+      ])
+    );
+  const changes = [];
 
-    if (repo.archived) {
-      core.info('📦 Repository is archived, unarchiving for sync...');
-      await targetOctokit.rest.repos.update({
-        owner: targetOrg,
-        repo: targetRepo,
-        archived: false
-      });
-      core.info('📂 Repository unarchived');
-      return { wasArchived: true };
+  for (const kind of ['teams', 'collaborators']) {
+    const desired = normalize(wanted[kind]);
+    const existing = normalize(current[kind]);
+
+    for (const [name, to] of desired) {
+      const from = existing.get(name);
+      if (from === undefined) changes.push({ kind, name, action: 'grant', to });
+      else if (from !== to) changes.push({ kind, name, action: 'change', from, to });
+    }
+    if (removeUnlisted) {
+      for (const [name, from] of existing) {
+        if (!desired.has(name)) changes.push({ kind, name, action: 'remove', from });
+      }
     }
-    core.info('📂 Repository is not archived');
-    return { wasArchived: false };
-  } catch (error) {
-    core.warning(`Could not check/unarchive repository: ${error.message}`);
-    return { wasArchived: false };
   }
+
+  return changes;
 }
 
-/**
- * Archive a repository
- */
-async function archiveRepository(targetOrg, targetRepo) {
-  try {
-    await targetOctokit.rest.repos.update({
-      owner: targetOrg,
-      repo: targetRepo,
-      archived: true
-    });
-    core.info('📦 Repository archived');
-    return true;
-  } catch (error) {
-    core.warning(`Could not archive repository: ${error.message}`);
-    return false;
-  }
+// Login behind the target token, which removing unlisted access must never lock out (null for app tokens)
+let targetLogin;
+
+function getTargetLogin() {
+  targetLogin ??= (async () => {
+    try {
+      const { data } = await targetOctokit.rest.users.getAuthenticated();
+      return data.login;
+    } catch {
+      return null;
+    }
+  })();
+  return targetLogin;
 }
 
 /**
- * Mirror a single repository from source to target: ensure the target exists,
+ * Resolve the access to grant on the target from the `teams`, `collaborators` and `sync-team-access`
+ * settings. Configured teams win over permissions copied from the source.
+ * @returns {Promise<{teams: Object<string, string>, collaborators: Object<string, string>, removeUnlisted: boolean}|undefined>}
+ *   Access to apply, or undefined when no access is configured.
+ */
+async function resolveAccess(sourceOrg, sourceRepo, { teams, collaborators, syncTeamAccess, removeUnlisted, mapping }) {
+  if (!teams && !collaborators && !syncTeamAccess) return undefined;
+
+  let sourceTeams = [];
+  if (syncTeamAccess) {
+    try {
+      sourceTeams = await sourceOctokit.paginate(sourceOctokit.rest.repos.listTeams, {
+        owner: sourceOrg,
+        repo: sourceRepo,
+        per_page: 100
+      });
+      log.info(
+        `Source repo teams: ${sourceTeams.map(team => `${team.slug} (${team.permission})`).join(', ') || '(none)'}`
+      );
+    } catch (error) {
+      // Without the source teams, removing unlisted access would drop teams that should stay
+      log.warning(`Could not fetch source repo teams, not removing unlisted access: ${error.message}`);
+      removeUnlisted = false;
+    }
+  }
+
+  return {
+    teams: {
+      ...Object.fromEntries(sourceTeams.map(team => [mapping?.teams?.[team.slug] ?? team.slug, team.permission])),
+      ...teams
+    },
+    collaborators: { ...collaborators },
+    removeUnlisted
+  };
+}
+
+/**
+ * Grant the configured team and collaborator permissions on the target, and optionally remove access
+ * that isn't configured. Pending invitations count as collaborators. Failures are logged as warnings
+ * and never fail the repository.
+ * @param {string} targetOrg - Target organization.
+ * @param {string} targetRepo - Target repository name.
+ * @param {{teams: Object<string, string>, collaborators: Object<string, string>, removeUnlisted: boolean}} access
+ * @param {Object} [options]
+ * @param {boolean} [options.targetExists=true] - When false, the target has no access to read yet.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{granted: number, removed: number, failed: string[], steps: string[]}>} What changed (or would).
+ */
+async function syncAccess(targetOrg, targetRepo, access, { targetExists = true, dryRun = false } = {}) {
+  const result = { granted: 0, removed: 0, failed: [], steps: [] };
+  const current = { teams: {}, collaborators: {} };
+  const invitations = new Map();
+
+  if (targetExists) {
+    try {
+      const params = { owner: targetOrg, repo: targetRepo, per_page: 100 };
+      const teams = await targetOctokit.paginate(targetOctokit.rest.repos.listTeams, params);
+      const collaborators = await targetOctokit.paginate(targetOctokit.rest.repos.listCollaborators, {
+        ...params,
+        affiliation: 'direct'
+      });
+      const pending = await targetOctokit.paginate(targetOctokit.rest.repos.listInvitations, params);
+
+      for (const team of teams) current.teams[team.slug] = team.permission;
+      for (const collaborator of collaborators)
+        current.collaborators[collaborator.login.toLowerCase()] = collaborator.role_name;
+      for (const invitation of pending) {
+        if (!invitation.invitee) continue;
+        const login = invitation.invitee.login.toLowerCase();
+        current.collaborators[login] = invitation.permissions;
+        invitations.set(login, invitation.id);
+      }
+    } catch (error) {
+      log.warning(`Could not read repository access: ${error.message}`);
+      result.failed.push(`read access: ${error.message}`);
+      return result;
+    }
+
+    if (access.removeUnlisted) {
+      const login = await getTargetLogin();
+      if (login) delete current.collaborators[login.toLowerCase()];
+    }
+  }
+
+  for (const { kind, name, action, from, to } of planAccessChanges(access, current, access.removeUnlisted)) {
+    const noun = kind === 'teams' ? 'team' : 'collaborator';
+    const message =
+      action === 'grant'
+        ? `grant ${noun} ${name}: ${to}`
+        : action === 'change'
+          ? `change ${noun} ${name}: ${from} → ${to}`
+          : `remove ${noun} ${name} (${from})`;
+    result.steps.push(message);
+
+    try {
+      if (dryRun) {
+        log.info(`[dry run] Would ${message}`);
+      } else if (kind === 'teams' && action === 'remove') {
+        await targetOctokit.rest.teams.removeRepoInOrg({
+          org: targetOrg,
+          team_slug: name,
+          owner: targetOrg,
+          repo: targetRepo
+        });
+      } else if (kind === 'teams') {
+        await targetOctokit.rest.teams.addOrUpdateRepoPermissionsInOrg({
+          org: targetOrg,
+          team_slug: name,
+          owner: targetOrg,
+          repo: targetRepo,
+          permission: to
+        });
+      } else if (action === 'remove' && invitations.has(name)) {
+        await targetOctokit.rest.repos.deleteInvitation({
+          owner: targetOrg,
+          repo: targetRepo,
+          invitation_id: invitations.get(name)
+        });
+      } else if (action === 'remove') {
+        await targetOctokit.rest.repos.removeCollaborator({ owner: targetOrg, repo: targetRepo, username: name });
+      } else {
+        await targetOctokit.rest.repos.addCollaborator({
+          owner: targetOrg,
+          repo: targetRepo,
+          username: name,
+          permission: to
+        });
+      }
+      if (!dryRun) log.info(`👥 ${message}`);
+      if (action === 'remove') result.removed++;
+      else result.granted++;
+    } catch (error) {
+      log.warning(`Could not ${message}: ${error.message}`);
+      result.failed.push(`${message}: ${error.message}`);
+    }
+  }
+
+  if (result.steps.length === 0) log.info('Repository access already matches');
+  return result;
+}
+
+/**
+ * Disable GitHub Actions on a repository
+ */
+async function disableActions(targetOrg, targetRepo) {
+  try {
+    await targetOctokit.rest.actions.setGithubActionsPermissionsRepository({
+      owner: targetOrg,
+      repo: targetRepo,
+      enabled: false
+    });
+    log.info('🚫 GitHub Actions disabled');
+    return true;
+  } catch (error) {
+    log.warning(`Could not disable GitHub Actions: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check if repository is archived and unarchive if needed
+ */
+async function ensureRepositoryUnarchived(targetOrg, targetRepo) {
+  try {
+    const { data: repo } = await targetOctokit.rest.repos.get({
+      owner: targetOrg,
+      repo: targetRepo
+    });
+
+    if (repo.archived) {
+      log.info('📦 Repository is archived, unarchiving for sync...');
+      await targetOctokit.rest.repos.update({
+        owner: targetOrg,
+        repo: targetRepo,
+        archived: false
+      });
+      log.info('📂 Repository unarchived');
+      return { wasArchived: true };
+    }
+    log.info('📂 Repository is not archived');
+    return { wasArchived: false };
+  } catch (error) {
+    log.warning(`Could not check/unarchive repository: ${error.message}`);
+    return { wasArchived: false };
+  }
+}
+
+/**
+ * Archive a repository
+ */
+async function archiveRepository(targetOrg, targetRepo) {
+  try {
+    await targetOctokit.rest.repos.update({
+      owner: targetOrg,
+      repo: targetRepo,
+      archived: true
+    });
+    log.info('📦 Repository archived');
+    return true;
+  } catch (error) {
+    log.warning(`Could not archive repository: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Fetch the source repository description, or an empty string when description sync is disabled
+ */
+async function fetchSourceDescription(sourceOrg, sourceRepo, syncRepoDescription) {
+  if (!syncRepoDescription) {
+    log.info('Skipping source description fetch (sync-repo-description=false)');
+    return '';
+  }
+
+  try {
+    const { data: repo } = await sourceOctokit.rest.repos.get({
+      owner: sourceOrg,
+      repo: sourceRepo
+    });
+    const description = repo.description || '';
+    log.info(`Source repo description: ${description || '(no description)'}`);
+    return description;
+  } catch (error) {
+    log.warning(`Could not fetch source repo description: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Fetch the source repository topics, or undefined when topic sync is disabled or the topics
+ * can't be read (so the target's current topics are kept)
+ */
+async function fetchSourceTopics(sourceOrg, sourceRepo, syncTopics) {
+  if (!syncTopics) return undefined;
+
+  try {
+    const { data } = await sourceOctokit.rest.repos.getAllTopics({
+      owner: sourceOrg,
+      repo: sourceRepo
+    });
+    log.info(`Source repo topics: ${data.names.join(', ') || '(no topics)'}`);
+    return data.names;
+  } catch (error) {
+    log.warning(`Could not fetch source repo topics: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Check whether the source repository has a wiki to mirror: `has_wiki` must be enabled and
+ * the `.wiki.git` repository must exist, which GitHub only creates along with the first page
+ */
+async function hasSourceWiki(sourceOrg, sourceRepo, wikiUrl) {
+  try {
+    const { data: repo } = await sourceOctokit.rest.repos.get({
+      owner: sourceOrg,
+      repo: sourceRepo
+    });
+    if (!repo.has_wiki) {
+      log.info('Source wiki is disabled, skipping wiki sync');
+      return false;
+    }
+  } catch (error) {
+    log.warning(`Could not check source wiki: ${error.message}`);
+    return false;
+  }
+
+  try {
+    await execGit(['ls-remote', wikiUrl], { auth: { credentials: sourceCredentials, owner: sourceOrg }, silent: true });
+    return true;
+  } catch {
+    log.info('Source wiki has no pages, skipping wiki sync');
+    return false;
+  }
+}
+
+/**
+ * Check whether GitHub Actions is currently enabled on a repository (read-only)
+ */
+async function isActionsEnabled(targetOrg, targetRepo) {
+  try {
+    const { data } = await targetOctokit.rest.actions.getGithubActionsPermissionsRepository({
+      owner: targetOrg,
+      repo: targetRepo
+    });
+    return data.enabled;
+  } catch (error) {
+    log.warning(`Could not read GitHub Actions permissions: ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * Parse `git ls-remote` output into a map of branch/tag refs to commit SHAs.
+ * Peeled tag entries (`^{}`) and refs outside `refs/heads/` and `refs/tags/` are ignored.
+ * @param {string} output - Raw `git ls-remote` output.
+ * @returns {Map<string, string>} Map of ref name to SHA.
+ */
+export function parseLsRemote(output) {
+  const refs = new Map();
+
+  for (const line of (output || '').split('\n')) {
+    const [sha, ref] = line.trim().split(/\s+/);
+    if (!sha || !ref || ref.endsWith('^{}')) continue;
+    if (ref.startsWith('refs/heads/') || ref.startsWith('refs/tags/')) {
+      refs.set(ref, sha);
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Classify each source ref against the target: `new` when the target doesn't have it,
+ * `identical` when both point at the same object, `fast-forward` when the target's commit
+ * is an ancestor of the source's, and `diverged` otherwise. A tag can only be moved by
+ * force, so a changed tag always counts as diverged.
+ * @param {Map<string, string>} sourceRefs - Source ref name to SHA.
+ * @param {Map<string, string>} targetRefs - Target ref name to SHA.
+ * @param {(targetSha: string, sourceSha: string) => Promise<boolean>} isAncestor - Whether `targetSha`
+ *   is reachable from `sourceSha`.
+ * @returns {Promise<Array<{ref: string, status: ('new'|'identical'|'fast-forward'|'diverged'),
+ *   sourceSha: string, targetSha?: string}>>} One entry per source ref, sorted by ref name.
+ */
+export async function classifyRefs(sourceRefs, targetRefs, isAncestor) {
+  const refs = [];
+
+  for (const [ref, sourceSha] of sourceRefs) {
+    const targetSha = targetRefs.get(ref);
+    let status;
+    if (!targetSha) {
+      status = 'new';
+    } else if (targetSha === sourceSha) {
+      status = 'identical';
+    } else if (ref.startsWith('refs/heads/') && (await isAncestor(targetSha, sourceSha))) {
+      status = 'fast-forward';
+    } else {
+      status = 'diverged';
+    }
+    refs.push({ ref, status, sourceSha, targetSha });
+  }
+
+  return refs.sort((a, b) => a.ref.localeCompare(b.ref));
+}
+
+const REF_STATUS_ACTIONS = { new: 'create', identical: 'unchanged', 'fast-forward': 'update' };
+
+// Planned actions that change the ref on the target
+const PUSHED_REF_ACTIONS = new Set(['create', 'update', 'backup', 'force-update']);
+
+// Push action for a diverged ref under each diverged-refs policy
+const DIVERGED_REF_ACTIONS = { skip: 'skip', fail: 'reject', backup: 'backup', force: 'force-update' };
+
+/**
+ * Decide what a push does with each classified ref. Diverged refs follow the diverged-refs policy.
+ * @param {Array<{ref: string, status: string, sourceSha: string, targetSha?: string}>} refs - Output of classifyRefs.
+ * @param {('skip'|'fail'|'backup'|'force')} [divergedRefs='fail'] - Policy for diverged refs.
+ * @returns {Array<{ref: string, status: string,
+ *   action: ('create'|'update'|'unchanged'|'skip'|'reject'|'backup'|'force-update'), sourceSha: string, targetSha?: string}>}
+ */
+export function planRefUpdates(refs, divergedRefs = 'fail') {
+  return refs.map(entry => ({
+    ...entry,
+    action: entry.status === 'diverged' ? DIVERGED_REF_ACTIONS[divergedRefs] : REF_STATUS_ACTIONS[entry.status]
+  }));
+}
+
+/**
+ * Name of the ref a diverged target ref is backed up to, e.g.
+ * `refs/backup/20240102T030405Z/heads/main` for `refs/heads/main`
+ * @param {string} ref - Full ref name.
+ * @param {Date} [now=new Date()] - Time of the backup.
+ * @returns {string} The backup ref.
+ */
+export function getBackupRef(ref, now = new Date()) {
+  const timestamp = now.toISOString().replace(/[-:]|\.\d+/g, '');
+  return `refs/backup/${timestamp}/${ref.replace(/^refs\//, '')}`;
+}
+
+/**
+ * Check a branch or tag name against an include/exclude filter. Without `include`,
+ * every name is included unless it matches `exclude`.
+ */
+function matchesRefFilter(name, filter) {
+  if (!filter) return true;
+  if (filter.include && !matchesGlob(name, filter.include)) return false;
+  return !(filter.exclude && matchesGlob(name, filter.exclude));
+}
+
+/**
+ * Split branch and tag refs into those to push and those skipped by the `branches`
+ * and `tags` filters. Globs are matched against the short name (e.g. `release/1.0`).
+ * @param {string[]} refs - Full ref names (`refs/heads/...`, `refs/tags/...`).
+ * @param {{include?: string|string[], exclude?: string|string[]}} [branches] - Branch filter.
+ * @param {{include?: string|string[], exclude?: string|string[]}} [tags] - Tag filter.
+ * @returns {{included: string[], skipped: string[]}} Refs to push and refs skipped.
+ */
+export function filterRefs(refs, branches, tags) {
+  const included = [];
+  const skipped = [];
+
+  for (const ref of refs) {
+    let keep = true;
+    if (ref.startsWith('refs/heads/')) {
+      keep = matchesRefFilter(ref.slice('refs/heads/'.length), branches);
+    } else if (ref.startsWith('refs/tags/')) {
+      keep = matchesRefFilter(ref.slice('refs/tags/'.length), tags);
+    }
+    (keep ? included : skipped).push(ref);
+  }
+
+  return { included, skipped };
+}
+
+/**
+ * Check whether a ref is covered by the `protected-refs` allowlist. Globs match either
+ * the full ref name (`refs/tags/v*`) or the short branch/tag name (`main`).
+ */
+function isProtectedRef(ref, protectedRefs) {
+  if (!protectedRefs) return false;
+  const shortName = ref.replace(/^refs\/(heads|tags)\//, '');
+  return matchesGlob(ref, protectedRefs) || matchesGlob(shortName, protectedRefs);
+}
+
+/**
+ * Work out which target branches and tags prune mode deletes: those missing from the
+ * source that the `branches`/`tags` filters would sync and that aren't protected.
+ * Target refs outside the filters are never touched.
+ * @param {Iterable<string>} sourceRefs - Full ref names present in the source.
+ * @param {Iterable<string>} targetRefs - Full ref names present in the target.
+ * @param {Object} [options]
+ * @param {{include?: string|string[], exclude?: string|string[]}} [options.branches] - Branch filter.
+ * @param {{include?: string|string[], exclude?: string|string[]}} [options.tags] - Tag filter.
+ * @param {string|string[]} [options.protectedRefs] - Globs of refs that must never be deleted.
+ * @returns {{deleted: string[], protected: string[]}} Refs to delete and stale refs kept by the allowlist.
+ */
+export function planPrune(sourceRefs, targetRefs, { branches, tags, protectedRefs } = {}) {
+  const existing = new Set(sourceRefs);
+  const stale = [...targetRefs].filter(
+    ref => (ref.startsWith('refs/heads/') || ref.startsWith('refs/tags/')) && !existing.has(ref)
+  );
+  const { included } = filterRefs(stale, branches, tags);
+
+  const deleted = [];
+  const kept = [];
+  for (const ref of included.sort()) {
+    (isProtectedRef(ref, protectedRefs) ? kept : deleted).push(ref);
+  }
+
+  return { deleted, protected: kept };
+}
+
+/**
+ * List branch and tag refs of a remote repository using `git ls-remote`
+ */
+async function listRemoteRefs(url, auth) {
+  const output = await execGit(['ls-remote', '--heads', '--tags', url], { auth, silent: true, retries: GIT_RETRIES });
+  return parseLsRemote(output);
+}
+
+const REF_ACTION_LABELS = {
+  create: 'push (new)',
+  update: 'push (fast-forward)',
+  'force-update': 'force-push (diverged)',
+  backup: 'back up and force-push (diverged)',
+  skip: 'skip (diverged)',
+  reject: 'fail (diverged)'
+};
+
+/**
+ * Check on the source whether `targetSha` is an ancestor of `sourceSha`, for planning
+ * without a local mirror. A commit the source doesn't know can't be an ancestor.
+ */
+async function isAncestorOnSource(sourceOrg, sourceRepo, targetSha, sourceSha) {
+  try {
+    const { data } = await sourceOctokit.rest.repos.compareCommits({
+      owner: sourceOrg,
+      repo: sourceRepo,
+      base: targetSha,
+      head: sourceSha,
+      per_page: 1
+    });
+    return data.status === 'ahead';
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) return false;
+    throw error;
+  }
+}
+
+/**
+ * Build a sync plan for a single repository without changing anything. Only read-only
+ * API calls and `git ls-remote` are used against the source and target.
+ * @param {Object} repoConfig - Per-repository config entry from the YAML file (same shape as for mirrorRepository).
+ * @returns {Promise<{
+ *   success: boolean,
+ *   repo: string,
+ *   dryRun: true,
+ *   created?: boolean,
+ *   visibilityUpdated?: boolean,
+ *   descriptionUpdated?: boolean,
+ *   topicsUpdated?: boolean,
+ *   archived?: boolean,
+ *   actionsDisabled?: boolean,
+ *   settings?: {updated: string[], error?: string},
+ *   access?: {granted: number, removed: number, failed: string[]},
+ *   refs?: Array<{ref: string, status: string, action: string, sourceSha: string, targetSha?: string}>,
+ *   refsSkipped?: string[],
+ *   refsDiverged?: Array<{ref: string, action: string}>,
+ *   refsDeleted?: string[],
+ *   refsProtected?: string[],
+ *   wiki?: {success: boolean},
+ *   releases?: {created: number, updated: number, deleted: number, assetsUploaded: number, bytes: number},
+ *   labels?: {created: number, updated: number, renamed: number, deleted: number},
+ *   milestones?: {created: number, updated: number, renamed: number, deleted: number},
+ *   issues?: {created: number, updated: number},
+ *   protection?: {rulesetsCreated: number, rulesetsUpdated: number, branchesProtected: number, untranslated: string[]},
+ *   variables?: {created: number, updated: number, failed: string[], missingSecrets: string[]},
+ *   environments?: {created: number, updated: number, variablesCreated: number, variablesUpdated: number,
+ *     untranslated: string[], missingSecrets: string[]},
+ *   plan?: string[],
+ *   error?: string
+ * }>} What mirrorRepository would do for this repository.
+ */
+export async function planRepository(repoConfig) {
+  const {
+    source,
+    target,
+    visibility = REPO_DEFAULTS.visibility,
+    'disable-github-actions': disableActionsForRepo = REPO_DEFAULTS['disable-github-actions'],
+    'sync-variables': syncVariablesForRepo = REPO_DEFAULTS['sync-variables'],
+    'sync-environments': syncEnvironmentsForRepo = REPO_DEFAULTS['sync-environments'],
+    'archive-after-sync': archiveAfterSync = REPO_DEFAULTS['archive-after-sync'],
+    'sync-repo-description': syncRepoDescription = REPO_DEFAULTS['sync-repo-description'],
+    'sync-topics': syncTopics = REPO_DEFAULTS['sync-topics'],
+    'extra-topics': extraTopics,
+    'sync-settings': repoSettings = REPO_DEFAULTS['sync-settings'],
+    teams,
+    collaborators,
+    'sync-team-access': syncTeamAccess = REPO_DEFAULTS['sync-team-access'],
+    'remove-unlisted-access': removeUnlistedAccess = REPO_DEFAULTS['remove-unlisted-access'],
+    branches,
+    tags,
+    prune = PRUNE,
+    'diverged-refs': divergedRefs = DIVERGED_REFS,
+    'protected-refs': protectedRefs,
+    'sync-wiki': syncWiki = REPO_DEFAULTS['sync-wiki'],
+    'sync-releases': syncReleasesForRepo = REPO_DEFAULTS['sync-releases'],
+    'sync-labels': syncLabels = REPO_DEFAULTS['sync-labels'],
+    'delete-extra-labels': deleteExtraLabels = REPO_DEFAULTS['delete-extra-labels'],
+    'sync-milestones': syncMilestones = REPO_DEFAULTS['sync-milestones'],
+    'delete-extra-milestones': deleteExtraMilestones = REPO_DEFAULTS['delete-extra-milestones'],
+    'sync-issues': syncIssuesForRepo = REPO_DEFAULTS['sync-issues'],
+    'sync-branch-protection': syncProtection = REPO_DEFAULTS['sync-branch-protection'],
+    'actor-mapping': actorMapping
+  } = repoConfig;
+  const nameError = getRepoNameError(source, target);
+  if (nameError) {
+    log.error(`❌ ${nameError}`);
+    return { success: false, repo: target, dryRun: true, error: nameError };
+  }
+  const [sourceOrg, sourceRepoName] = source.split('/');
+  const [targetOrg, targetRepoName] = target.split('/');
+
+  const cloneUrl = `${SOURCE_GITHUB_URL}/${source}.git`;
+  const pushUrl = `${TARGET_GITHUB_URL}/${target}.git`;
+  const wikiUrl = `${SOURCE_GITHUB_URL}/${source}.wiki.git`;
+
+  log.info(`Planning: ${source} → ${target} (${visibility})`);
+
+  try {
+    const description = await fetchSourceDescription(sourceOrg, sourceRepoName, syncRepoDescription);
+    const mirrorWikiForRepo = syncWiki && (await hasSourceWiki(sourceOrg, sourceRepoName, wikiUrl));
+    const sourceTopics = await fetchSourceTopics(sourceOrg, sourceRepoName, syncTopics);
+    const access = await resolveAccess(sourceOrg, sourceRepoName, {
+      teams,
+      collaborators,
+      syncTeamAccess,
+      removeUnlisted: removeUnlistedAccess,
+      mapping: actorMapping
+    });
+    const repoStatus = await ensureRepository(targetOrg, targetRepoName, {
+      visibility,
+      description,
+      overwriteVisibility: OVERWRITE_VISIBILITY,
+      syncDescription: syncRepoDescription,
+      dryRun: true,
+      enableWiki: mirrorWikiForRepo,
+      topics: syncTopics || extraTopics ? { source: sourceTopics, extra: extraTopics } : undefined,
+      access
+    });
+
+    const plan = [];
+    plan.push(repoStatus.created ? `Create ${target} (${visibility})` : `Use existing ${target}`);
+    if (repoStatus.visibilityUpdated) plan.push(`Change visibility to ${visibility}`);
+    if (repoStatus.descriptionUpdated) plan.push(`Update description to "${description}"`);
+    if (repoStatus.topicsUpdated) plan.push(`Update topics to ${repoStatus.topics.join(', ') || '(none)'}`);
+    if (repoStatus.access) plan.push(...repoStatus.access.steps);
+    if (repoStatus.wikiEnabled) plan.push('Enable wiki');
+    if (archiveAfterSync && repoStatus.archived) plan.push('Unarchive before pushing');
+
+    let actionsDisabled = false;
+    if (disableActionsForRepo) {
+      actionsDisabled = repoStatus.created || (await isActionsEnabled(targetOrg, targetRepoName));
+      if (actionsDisabled) plan.push('Disable GitHub Actions');
+    }
+
+    const allSourceRefs = await listRemoteRefs(cloneUrl, { credentials: sourceCredentials, owner: sourceOrg });
+    const { included, skipped: refsSkipped } = filterRefs([...allSourceRefs.keys()], branches, tags);
+    const sourceRefs = new Map(included.map(ref => [ref, allSourceRefs.get(ref)]));
+    const targetRefs = repoStatus.created
+      ? new Map()
+      : await listRemoteRefs(pushUrl, { credentials: targetCredentials, owner: targetOrg });
+    const refs = planRefUpdates(
+      await classifyRefs(sourceRefs, targetRefs, (targetSha, sourceSha) =>
+        isAncestorOnSource(sourceOrg, sourceRepoName, targetSha, sourceSha)
+      ),
+      divergedRefs
+    );
+
+    const unchanged = refs.filter(({ action }) => action === 'unchanged').length;
+    for (const { ref, action } of refs) {
+      if (action !== 'unchanged') plan.push(`${REF_ACTION_LABELS[action]}: ${ref}`);
+    }
+    if (unchanged > 0) plan.push(`${unchanged} ref(s) already up to date`);
+    if (refsSkipped.length > 0) plan.push(`skip (filtered): ${refsSkipped.join(', ')}`);
+
+    const pruned = prune
+      ? planPrune(allSourceRefs.keys(), targetRefs.keys(), { branches, tags, protectedRefs })
+      : undefined;
+    if (pruned) {
+      for (const ref of pruned.deleted) plan.push(`delete (prune): ${ref}`);
+      if (pruned.protected.length > 0) plan.push(`keep (protected): ${pruned.protected.join(', ')}`);
+    }
+
+    const settings = repoSettings
+      ? await syncSettings(source, target, {
+          settings: repoSettings,
+          branches,
+          targetExists: !repoStatus.created,
+          dryRun: true
+        })
+      : undefined;
+    if (settings) plan.push(...settings.steps);
+
+    const releases = syncReleasesForRepo
+      ? await syncReleases(source, target, { tags, prune, targetExists: !repoStatus.created, dryRun: true })
+      : undefined;
+    if (releases) {
+      plan.push(...releases.steps);
+      if (releases.unchanged > 0) plan.push(`${releases.unchanged} release(s) already up to date`);
+    }
+
+    const targetExists = !repoStatus.created;
+    const labels = syncLabels
+      ? await syncIssueItems(LABEL_SYNC, source, target, {
+          deleteExtras: deleteExtraLabels,
+          targetExists,
+          dryRun: true
+        })
+      : undefined;
+    const milestones = syncMilestones
+      ? await syncIssueItems(MILESTONE_SYNC, source, target, {
+          deleteExtras: deleteExtraMilestones,
+          targetExists,
+          dryRun: true
+        })
+      : undefined;
+    const issues = syncIssuesForRepo ? await syncIssues(source, target, { targetExists, dryRun: true }) : undefined;
+    const protection = syncProtection
+      ? await syncBranchProtection(source, target, { mapping: actorMapping, targetExists, dryRun: true })
+      : undefined;
+    const variables = syncVariablesForRepo
+      ? await syncVariables(source, target, { targetExists, dryRun: true })
+      : undefined;
+    const environments = syncEnvironmentsForRepo
+      ? await syncEnvironments(source, target, { mapping: actorMapping, targetExists, dryRun: true })
+      : undefined;
+    plan.push(
+      ...(labels?.steps || []),
+      ...(milestones?.steps || []),
+      ...(issues?.steps || []),
+      ...(protection?.steps || []),
+      ...(variables?.steps || []),
+      ...(environments?.steps || [])
+    );
+
+    if (mirrorWikiForRepo) plan.push(`Mirror wiki ${source}.wiki → ${target}.wiki`);
+
+    if (archiveAfterSync) plan.push('Archive after sync');
+
+    log.info(`📋 Plan for ${source} → ${target}:`);
+    for (const step of plan) {
+      log.info(`  • ${step}`);
+    }
+
+    return {
+      success: true,
+      repo: `${targetOrg}/${targetRepoName}`,
+      dryRun: true,
+      created: repoStatus.created,
+      visibilityUpdated: repoStatus.visibilityUpdated,
+      descriptionUpdated: repoStatus.descriptionUpdated,
+      topicsUpdated: repoStatus.topicsUpdated,
+      archived: archiveAfterSync,
+      actionsDisabled,
+      settings,
+      access: repoStatus.access,
+      refs,
+      refsSkipped,
+      refsDiverged: refs.filter(({ status }) => status === 'diverged').map(({ ref, action }) => ({ ref, action })),
+      refsDeleted: pruned?.deleted,
+      refsProtected: pruned?.protected,
+      wiki: mirrorWikiForRepo ? { success: true } : undefined,
+      releases,
+      labels,
+      milestones,
+      issues,
+      protection,
+      variables,
+      environments,
+      plan
+    };
+  } catch (error) {
+    const sanitizedError = sanitizeError(error);
+    log.error(`❌ Failed to plan ${source}: ${sanitizedError}`);
+    return {
+      success: false,
+      repo: `${targetOrg}/${targetRepoName}`,
+      dryRun: true,
+      error: sanitizedError
+    };
+  }
+}
+
+// In-flight work per cached mirror path, so concurrent workers never touch the same mirror at once
+const mirrorLocks = new Map();
+
+/**
+ * Run `fn` once all earlier work holding the same key has settled
+ */
+async function withMirrorLock(key, fn) {
+  const previous = mirrorLocks.get(key);
+  const run = (async () => {
+    if (previous) await previous;
+    return fn();
+  })();
+  const settled = (async () => {
+    try {
+      await run;
+    } catch {
+      // Failures are reported to the caller that owns `run`
+    }
+  })();
+  mirrorLocks.set(key, settled);
+
+  try {
+    return await run;
+  } finally {
+    if (mirrorLocks.get(key) === settled) mirrorLocks.delete(key);
+  }
+}
+
+/**
+ * Path of a repository's bare mirror in the cache. GitHub owner and repository names are
+ * case-insensitive, so they're lower-cased to keep one mirror per repository however it is spelled.
+ * @param {string} cacheDir - Mirror cache directory.
+ * @param {string} repo - Repository in `owner/repo` form.
+ * @param {string} [suffix='.git'] - Directory suffix (`.wiki.git` for the wiki mirror).
+ * @returns {string} Absolute path of the mirror.
+ */
+export function getCachedMirrorDir(cacheDir, repo, suffix = '.git') {
+  const [owner, name] = repo.toLowerCase().split('/');
+  return join(resolve(cacheDir), owner, `${name}${suffix}`);
+}
+
+/**
+ * Get a local bare mirror of the source repository into `mirrorDir`. With the cache
+ * enabled, an existing mirror is refreshed with `git fetch --prune`; a missing or
+ * unusable one is (re-)cloned. The token is never part of the mirror's config.
+ * @param {string} cloneUrl - Source clone URL (stored as the mirror's origin).
+ * @param {string} mirrorDir - Path of the bare mirror.
+ * @param {boolean} useCache - Whether `mirrorDir` is a persistent cache entry.
+ * @param {{credentials: Object, owner: string}} [auth] - Source credentials for the clone or fetch.
+ * @returns {Promise<('hit'|'miss'|undefined)>} Cache result, or undefined when the cache is disabled.
+ */
+export async function prepareMirror(cloneUrl, mirrorDir, useCache, auth) {
+  if (useCache && existsSync(mirrorDir)) {
+    try {
+      const isBare = await execGit([`--git-dir=${mirrorDir}`, 'rev-parse', '--is-bare-repository'], { silent: true });
+      if (String(isBare).trim() !== 'true') {
+        throw new Error('not a bare git repository');
+      }
+
+      log.info(`💾 Cache hit: fetching changes into ${mirrorDir}`);
+      await execGit(['fetch', '--prune', cloneUrl, '+refs/*:refs/*'], {
+        cwd: mirrorDir,
+        auth,
+        retries: GIT_RETRIES
+      });
+      return 'hit';
+    } catch (error) {
+      log.warning(`Cached mirror at ${mirrorDir} is unusable, re-cloning: ${sanitizeError(error)}`);
+      removeDirectory(mirrorDir);
+    }
+  } else if (useCache) {
+    log.info(`💾 Cache miss: no mirror at ${mirrorDir}`);
+  }
+
+  log.info(`Cloning ${cloneUrl}...`);
+  await execGit(['clone', '--mirror', cloneUrl, mirrorDir], { auth, retries: GIT_RETRIES });
+
+  return useCache ? 'miss' : undefined;
+}
+
+// Maximum number of explicit refspecs per `git push` when ref filters are in use
+const REFSPEC_BATCH_SIZE = 200;
+
+/**
+ * List the branch and tag refs of a local mirror as a map of ref name to SHA
+ */
+async function listMirrorRefs(repoDir) {
+  const localRefs = await execGit(['for-each-ref', '--format=%(objectname) %(refname)', 'refs/heads', 'refs/tags'], {
+    cwd: repoDir,
+    silent: true
+  });
+  return parseLsRemote(localRefs);
+}
+
+/**
+ * Check in a local mirror whether `targetSha` is an ancestor of `sourceSha`
+ */
+async function isAncestorInMirror(repoDir, targetSha, sourceSha) {
+  try {
+    await execGit(['merge-base', '--is-ancestor', targetSha, sourceSha], { cwd: repoDir, silent: true });
+    return true;
+  } catch {
+    // Exit code 1 means "not an ancestor"; a target commit missing from the mirror can't be one either
+    return false;
+  }
+}
+
+/**
+ * Back up diverged target refs under `refs/backup/<timestamp>/` on the target before they're
+ * overwritten. The target's commits are fetched into the mirror first so they can be pushed back.
+ * @param {string} repoDir - Path of the local mirror.
+ * @param {string} pushUrl - Target clone URL.
+ * @param {{credentials: Object, owner: string}} auth - Target credentials.
+ * @param {Array<{ref: string, targetSha: string}>} refs - Diverged refs and their current target SHAs.
+ * @returns {Promise<Array<{ref: string, backupRef: string, sha: string}>>} The backups created.
+ */
+async function backupDivergedRefs(repoDir, pushUrl, auth, refs) {
+  const now = new Date();
+  const backups = refs.map(({ ref, targetSha }) => ({ ref, backupRef: getBackupRef(ref, now), sha: targetSha }));
+
+  try {
+    for (let i = 0; i < backups.length; i += REFSPEC_BATCH_SIZE) {
+      const batch = backups.slice(i, i + REFSPEC_BATCH_SIZE);
+      await execGit(['fetch', '--no-tags', pushUrl, ...batch.map(({ ref }) => ref)], {
+        cwd: repoDir,
+        auth,
+        silent: true,
+        retries: GIT_RETRIES
+      });
+      await execGit(['push', pushUrl, ...batch.map(({ sha, backupRef }) => `${sha}:${backupRef}`)], {
+        cwd: repoDir,
+        auth,
+        retries: GIT_RETRIES
+      });
+    }
+  } catch (error) {
+    const sanitizedError = sanitizeError(error);
+    log.error(`❌ Failed to back up diverged refs: ${sanitizedError}`);
+    throw new Error(`Failed to back up diverged refs: ${sanitizedError}`);
+  }
+
+  for (const { ref, backupRef, sha } of backups) {
+    log.info(`🗄️  Backed up ${ref} (${sha.slice(0, 7)}) to ${backupRef}`);
+  }
+  return backups;
+}
+
+/**
+ * Format a byte count for log output, e.g. `1.5 MB`
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Check whether the git-lfs extension is installed
+ */
+async function isGitLfsAvailable() {
+  try {
+    await execGit(['lfs', 'version'], { silent: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether any of the given refs tracks files with Git LFS (a `.gitattributes`
+ * anywhere in the tree with `filter=lfs`). Doesn't need git-lfs to be installed.
+ */
+async function usesGitLfs(repoDir, refs) {
+  for (let i = 0; i < refs.length; i += REFSPEC_BATCH_SIZE) {
+    const batch = refs.slice(i, i + REFSPEC_BATCH_SIZE);
+    let matches = '';
+    try {
+      matches = await execGit(['grep', '-l', '-F', 'filter=lfs', ...batch, '--', ':(glob)**/.gitattributes'], {
+        cwd: repoDir,
+        silent: true
+      });
+    } catch {
+      // git grep exits 1 when nothing matches
+    }
+    if (String(matches || '').trim()) return true;
+  }
+  return false;
+}
+
+/**
+ * Copy the Git LFS objects referenced by the refs being synced from the source's LFS
+ * endpoint to the target's. Does nothing for repositories that don't use LFS.
+ * @param {string} repoDir - Path of the local bare mirror.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [filters] - `branches` and `tags` filters, as for pushMirror.
+ * @returns {Promise<({objects: number, bytes: number}|undefined)>} LFS objects and bytes synced,
+ *   or undefined when the repository doesn't use LFS.
+ */
+async function syncLfsObjects(repoDir, source, target, { branches, tags } = {}) {
+  const cloneUrl = `${SOURCE_GITHUB_URL}/${source}.git`;
+  const pushUrl = `${TARGET_GITHUB_URL}/${target}.git`;
+  const sourceAuth = { credentials: sourceCredentials, owner: source.split('/')[0] };
+  const targetAuth = { credentials: targetCredentials, owner: target.split('/')[0] };
+
+  const { included } = filterRefs([...(await listMirrorRefs(repoDir)).keys()], branches, tags);
+  if (included.length === 0 || !(await usesGitLfs(repoDir, included))) {
+    return undefined;
+  }
+
+  if (!(await isGitLfsAvailable())) {
+    throw new Error('Repository uses Git LFS but git-lfs is not installed; install it to sync LFS objects');
+  }
+
+  log.info('Syncing Git LFS objects...');
+  const oids = new Set();
+  try {
+    for (let i = 0; i < included.length; i += REFSPEC_BATCH_SIZE) {
+      const batch = included.slice(i, i + REFSPEC_BATCH_SIZE);
+      await execGit(['lfs', 'fetch', '--all', cloneUrl, ...batch], {
+        cwd: repoDir,
+        auth: sourceAuth,
+        retries: GIT_RETRIES
+      });
+
+      // Lines look like `push <oid> => <path>`
+      const planned = await execGit(['lfs', 'push', '--dry-run', '--all', pushUrl, ...batch], {
+        cwd: repoDir,
+        auth: targetAuth,
+        silent: true,
+        retries: GIT_RETRIES
+      });
+      for (const line of String(planned || '').split('\n')) {
+        const match = line.match(/^push ([0-9a-f]{64}) => /);
+        if (match) oids.add(match[1]);
+      }
+
+      await execGit(['lfs', 'push', '--all', pushUrl, ...batch], {
+        cwd: repoDir,
+        auth: targetAuth,
+        retries: GIT_RETRIES
+      });
+    }
+  } catch (error) {
+    const sanitizedError = sanitizeError(error);
+    log.error(`❌ Failed to sync LFS objects: ${sanitizedError}`);
+    throw new Error(`Failed to sync LFS objects: ${sanitizedError}`);
+  }
+
+  let bytes = 0;
+  for (const oid of oids) {
+    const objectPath = join(repoDir, 'lfs', 'objects', oid.slice(0, 2), oid.slice(2, 4), oid);
+    if (existsSync(objectPath)) bytes += statSync(objectPath).size;
+  }
+
+  log.info(`✅ LFS objects synced: ${oids.size} (${formatBytes(bytes)})`);
+  return { objects: oids.size, bytes };
+}
+
+/**
+ * Push branches and tags (but not pull request refs) from a local mirror to the target
+ * repository. Without filters whole namespaces are pushed; with filters only matching refs are.
+ * Refs that already exist on the target are classified first, and those that have diverged from
+ * the source are skipped, fail the push, backed up and force-pushed, or force-pushed, depending
+ * on `divergedRefs`. With `prune`, target refs that no longer exist in the mirror are deleted afterwards.
+ * @returns {Promise<{pushed: string[], unchanged: string[], skipped: string[],
+ *   diverged: Array<{ref: string, action: string}>, backups: Array<{ref: string, backupRef: string, sha: string}>,
+ *   deleted?: string[], protected?: string[]}>}
+ *   Refs created or moved on the target, refs already identical there, refs skipped by filters, diverged
+ *   refs and their backups and, when pruning, refs deleted and stale refs kept.
+ */
+async function pushMirror(
+  repoDir,
+  target,
+  { branches, tags, prune = false, protectedRefs, divergedRefs = DIVERGED_REFS, targetExists = true } = {}
+) {
+  const pushUrl = `${TARGET_GITHUB_URL}/${target}.git`;
+  const auth = { credentials: targetCredentials, owner: target.split('/')[0] };
+
+  const mirrorRefs = await listMirrorRefs(repoDir);
+  const { included, skipped } = filterRefs([...mirrorRefs.keys()], branches, tags);
+
+  // A target that was just created has nothing to diverge from
+  const targetRefs = targetExists ? await listRemoteRefs(pushUrl, auth) : new Map();
+  const sourceRefs = new Map(included.map(ref => [ref, mirrorRefs.get(ref)]));
+  const refs = planRefUpdates(
+    await classifyRefs(sourceRefs, targetRefs, (targetSha, sourceSha) =>
+      isAncestorInMirror(repoDir, targetSha, sourceSha)
+    ),
+    divergedRefs
+  );
+  const diverged = refs.filter(({ status }) => status === 'diverged');
+
+  let backups = [];
+  if (diverged.length > 0) {
+    const names = diverged.map(({ ref }) => ref).join(', ');
+    if (divergedRefs === 'fail') {
+      log.error(`❌ ${target} has diverged from the source: ${names}`);
+      throw new Error(
+        `Target has diverged from the source on ${diverged.length} ref(s): ${names} ` +
+          '(set diverged-refs to skip, or backup to overwrite them)'
+      );
+    }
+    log.warning(`${target} has diverged from the source on ${diverged.length} ref(s): ${names}`);
+    if (divergedRefs === 'skip') {
+      log.info(`⏭️  Skipping ${diverged.length} diverged ref(s)`);
+    } else if (divergedRefs === 'backup') {
+      backups = await backupDivergedRefs(repoDir, pushUrl, auth, diverged);
+    }
+  }
+
+  const divergedSkipped = new Set(divergedRefs === 'skip' ? diverged.map(({ ref }) => ref) : []);
+  const toPush = included.filter(ref => !divergedSkipped.has(ref));
+  const explicit = Boolean(branches || tags) || divergedSkipped.size > 0;
+  const pushed = refs.filter(({ action }) => PUSHED_REF_ACTIONS.has(action)).map(({ ref }) => ref);
+  const unchanged = refs.filter(({ action }) => action === 'unchanged').map(({ ref }) => ref);
+
+  // Push refs selectively (exclude pull request refs)
+  log.info(`Pushing branches and tags to ${target}...`);
+
+  // Backed-up refs are only overwritten if they still point at the commit that was backed up
+  const forceFlags =
+    divergedRefs === 'force' ? ['--force'] : backups.map(({ ref, sha }) => `--force-with-lease=${ref}:${sha}`);
+
+  for (const [kind, prefix] of [
+    ['branches', 'refs/heads/'],
+    ['tags', 'refs/tags/']
+  ]) {
+    const refspecs = explicit
+      ? toPush.filter(ref => ref.startsWith(prefix)).map(ref => `${ref}:${ref}`)
+      : [`${prefix}*:${prefix}*`];
+
+    if (refspecs.length === 0) {
+      log.info(`No ${kind} to push`);
+      continue;
+    }
+
+    try {
+      for (let i = 0; i < refspecs.length; i += REFSPEC_BATCH_SIZE) {
+        await execGit(['push', ...forceFlags, pushUrl, ...refspecs.slice(i, i + REFSPEC_BATCH_SIZE)], {
+          cwd: repoDir,
+          auth,
+          retries: GIT_RETRIES
+        });
+      }
+      log.info(`✅ ${kind === 'branches' ? 'Branches' : 'Tags'} pushed successfully`);
+    } catch (error) {
+      const sanitizedError = sanitizeError(error);
+      log.error(`❌ Failed to push ${kind}: ${sanitizedError}`);
+      throw new Error(`Failed to push ${kind}: ${sanitizedError}`);
+    }
+  }
+
+  if (skipped.length > 0) {
+    log.info(`⏭️  Skipped ${skipped.length} ref(s) by filters: ${skipped.join(', ')}`);
+  }
+
+  const divergedResult = diverged.map(({ ref, action }) => ({ ref, action }));
+  if (!prune) {
+    return { pushed, unchanged, skipped, diverged: divergedResult, backups };
+  }
+
+  // Every ref that was pushed exists in the mirror, so the target's refs from before the push are enough
+  const { deleted, protected: kept } = planPrune(mirrorRefs.keys(), targetRefs.keys(), {
+    branches,
+    tags,
+    protectedRefs
+  });
+
+  if (kept.length > 0) {
+    log.info(`🛡️  Keeping ${kept.length} protected ref(s): ${kept.join(', ')}`);
+  }
+
+  if (deleted.length === 0) {
+    log.info('No target refs to prune');
+  } else {
+    log.info(`Pruning ${deleted.length} ref(s) from ${target}...`);
+    try {
+      for (let i = 0; i < deleted.length; i += REFSPEC_BATCH_SIZE) {
+        await execGit(['push', pushUrl, '--delete', ...deleted.slice(i, i + REFSPEC_BATCH_SIZE)], {
+          cwd: repoDir,
+          auth,
+          retries: GIT_RETRIES
+        });
+      }
+    } catch (error) {
+      const sanitizedError = sanitizeError(error);
+      log.error(`❌ Failed to prune refs: ${sanitizedError}`);
+      throw new Error(`Failed to prune refs: ${sanitizedError}`);
+    }
+    for (const ref of deleted) {
+      log.info(`🗑️  Deleted ${ref}`);
+    }
+  }
+
+  return { pushed, unchanged, skipped, diverged: divergedResult, backups, deleted, protected: kept };
+}
+
+/**
+ * Mirror the source repository's wiki into the target repository's wiki. Failures are
+ * returned rather than thrown so they're reported separately from the repository itself.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {string} wikiDir - Path of the wiki's bare mirror.
+ * @param {boolean} useCache - Whether `wikiDir` is a persistent cache entry.
+ * @param {('skip'|'fail'|'backup'|'force')} divergedRefs - What to do with diverged wiki refs.
+ * @returns {Promise<{success: boolean, refsPushed?: string[], error?: string}>} Outcome of the wiki mirror.
+ */
+async function mirrorWiki(source, target, wikiDir, useCache, divergedRefs) {
+  const cloneUrl = `${SOURCE_GITHUB_URL}/${source}.wiki.git`;
+
+  log.info(`Mirroring wiki: ${source}.wiki → ${target}.wiki`);
+
+  try {
+    const refs = await withMirrorLock(wikiDir, async () => {
+      await prepareMirror(cloneUrl, wikiDir, useCache, { credentials: sourceCredentials, owner: source.split('/')[0] });
+      return pushMirror(wikiDir, `${target}.wiki`, { divergedRefs });
+    });
+    log.info(`✅ Successfully mirrored wiki ${source}.wiki → ${target}.wiki`);
+    return { success: true, refsPushed: refs.pushed };
+  } catch (error) {
+    const sanitizedError = sanitizeError(error);
+    log.warning(`Failed to mirror wiki for ${source}: ${sanitizedError}`);
+    if (/not found/i.test(sanitizedError)) {
+      // The wiki's git repository only exists once a page has been created in the web UI
+      log.warning(`Create any page at ${TARGET_GITHUB_URL}/${target}/wiki once, then re-run to sync the wiki`);
+    }
+    return { success: false, error: sanitizedError };
+  }
+}
+
+// Release fields kept in sync with the source
+const RELEASE_FIELDS = ['name', 'body', 'draft', 'prerelease'];
+
+/**
+ * Check whether a target release asset already has the source asset's content. Uses the
+ * sha256 digest when GitHub reports one for both assets, otherwise the size.
+ */
+function isSameAsset(sourceAsset, targetAsset) {
+  if (sourceAsset.size !== targetAsset.size) return false;
+  if (sourceAsset.digest && targetAsset.digest) return sourceAsset.digest === targetAsset.digest;
+  return true;
+}
+
+/**
+ * Compare the assets of a source release with those of its target release, matched by name.
+ * @param {Object[]} [sourceAssets] - Assets of the source release.
+ * @param {Object[]} [targetAssets] - Assets of the target release.
+ * @returns {{
+ *   upload: Array<{asset: Object, replaces?: Object}>,
+ *   relabel: Array<{asset: Object, target: Object}>,
+ *   delete: Object[],
+ *   unchanged: number
+ * }} Assets to upload (replacing a different target asset of the same name), assets whose
+ *   label changed, target assets missing from the source, and the number already identical.
+ */
+export function planAssetChanges(sourceAssets = [], targetAssets = []) {
+  const targetByName = new Map(targetAssets.map(asset => [asset.name, asset]));
+  const sourceNames = new Set(sourceAssets.map(asset => asset.name));
+
+  const upload = [];
+  const relabel = [];
+  let unchanged = 0;
+  for (const asset of sourceAssets) {
+    const existing = targetByName.get(asset.name);
+    if (!existing || !isSameAsset(asset, existing)) {
+      upload.push({ asset, replaces: existing });
+    } else if ((asset.label || '') !== (existing.label || '')) {
+      relabel.push({ asset, target: existing });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return { upload, relabel, delete: targetAssets.filter(asset => !sourceNames.has(asset.name)), unchanged };
+}
+
+/**
+ * Work out how to bring the target's releases in line with the source's, matching releases
+ * by tag. Releases whose tag is excluded by the `tags` filter are ignored on both sides.
+ * @param {Object[]} sourceReleases - Releases from the source (as returned by listReleases, newest first).
+ * @param {Object[]} targetReleases - Releases from the target.
+ * @param {Object} [options]
+ * @param {{include?: string|string[], exclude?: string|string[]}} [options.tags] - Tag filter.
+ * @param {boolean} [options.prune=false] - Delete target releases whose tag has no source release.
+ * @returns {Array<{
+ *   action: ('create'|'update'|'unchanged'|'delete'),
+ *   tag: string,
+ *   source?: Object,
+ *   target?: Object,
+ *   fields?: string[],
+ *   assets?: ReturnType<typeof planAssetChanges>
+ * }>} Changes in the order they should be applied (oldest source release first, deletions last).
+ */
+export function planReleaseChanges(sourceReleases, targetReleases, { tags, prune = false } = {}) {
+  const inScope = release => matchesRefFilter(release.tag_name, tags);
+  const targetByTag = new Map(targetReleases.filter(inScope).map(release => [release.tag_name, release]));
+  const sourceTags = new Set();
+
+  const changes = [];
+  for (const release of [...sourceReleases].filter(inScope).reverse()) {
+    sourceTags.add(release.tag_name);
+    const existing = targetByTag.get(release.tag_name);
+    const fields = existing ? RELEASE_FIELDS.filter(field => (release[field] ?? '') !== (existing[field] ?? '')) : [];
+
+    let action = 'unchanged';
+    if (!existing) action = 'create';
+    else if (fields.length > 0) action = 'update';
+
+    changes.push({
+      action,
+      tag: release.tag_name,
+      source: release,
+      target: existing,
+      fields,
+      assets: planAssetChanges(release.assets, existing?.assets)
+    });
+  }
+
+  if (prune) {
+    for (const [tag, release] of targetByTag) {
+      if (!sourceTags.has(tag)) changes.push({ action: 'delete', tag, target: release });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Close a download stream that won't be read to the end, so its connection isn't held open
+ */
+async function discardStream(stream) {
+  try {
+    if (typeof stream?.cancel === 'function') await stream.cancel();
+    else stream?.destroy?.();
+  } catch {
+    // A stream still locked by the failed upload is closed along with that request
+  }
+}
+
+/**
+ * Stream a release asset from the source to a target release without buffering it in memory
+ */
+async function copyReleaseAsset(sourceOrg, sourceRepo, asset, targetOrg, targetRepo, release) {
+  // The upload consumes the download stream, so each retry downloads the asset again
+  for (let attempt = 1; ; attempt++) {
+    const { data: stream } = await sourceOctokit.rest.repos.getReleaseAsset({
+      owner: sourceOrg,
+      repo: sourceRepo,
+      asset_id: asset.id,
+      headers: { accept: 'application/octet-stream' },
+      request: { parseSuccessResponseBody: false }
+    });
+
+    try {
+      await targetOctokit.rest.repos.uploadReleaseAsset({
+        owner: targetOrg,
+        repo: targetRepo,
+        release_id: release.id,
+        // upload_url points at the right uploads host for both GitHub.com and GHES
+        url: release.upload_url,
+        name: asset.name,
+        label: asset.label || undefined,
+        data: stream,
+        headers: {
+          'content-type': asset.content_type || 'application/octet-stream',
+          'content-length': asset.size
+        }
+      });
+      return;
+    } catch (error) {
+      await discardStream(stream);
+      const delay = attempt <= API_RETRIES ? getRetryDelay(error, attempt) : null;
+      if (delay === null) throw error;
+
+      log.warning(
+        `Uploading ${asset.name} failed (${error.status ?? 'network error'}: ${sanitizeError(error)}); ` +
+          `retry ${attempt}/${API_RETRIES} in ${Math.ceil(delay / 1000)}s`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Create or update target releases to match the source releases (matched by tag), copying
+ * their assets, and delete target releases missing from the source when pruning.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [options]
+ * @param {{include?: string|string[], exclude?: string|string[]}} [options.tags] - Tag filter.
+ * @param {boolean} [options.prune=false] - Delete target releases that were removed from the source.
+ * @param {boolean} [options.targetExists=true] - When false, the target has no releases to list yet.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{
+ *   created: number,
+ *   updated: number,
+ *   deleted: number,
+ *   unchanged: number,
+ *   assetsUploaded: number,
+ *   assetsUnchanged: number,
+ *   assetsDeleted: number,
+ *   bytes: number,
+ *   steps: string[]
+ * }>} Counts of what changed (or would change) and a description of each step.
+ */
+async function syncReleases(source, target, { tags, prune = false, targetExists = true, dryRun = false } = {}) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+
+  const sourceReleases = await sourceOctokit.paginate(sourceOctokit.rest.repos.listReleases, {
+    owner: sourceOrg,
+    repo: sourceRepo,
+    per_page: 100
+  });
+  const targetReleases = targetExists
+    ? await targetOctokit.paginate(targetOctokit.rest.repos.listReleases, {
+        owner: targetOrg,
+        repo: targetRepo,
+        per_page: 100
+      })
+    : [];
+
+  const result = {
+    created: 0,
+    updated: 0,
+    deleted: 0,
+    unchanged: 0,
+    assetsUploaded: 0,
+    assetsUnchanged: 0,
+    assetsDeleted: 0,
+    bytes: 0,
+    steps: []
+  };
+  const step = message => {
+    result.steps.push(message);
+    if (!dryRun) log.info(`🏷️  ${message}`);
+  };
+
+  if (!dryRun) log.info(`Syncing ${sourceReleases.length} release(s)...`);
+
+  for (const change of planReleaseChanges(sourceReleases, targetReleases, { tags, prune })) {
+    const { action, tag, source: sourceRelease, fields, assets } = change;
+    let release = change.target;
+
+    if (action === 'delete') {
+      step(`delete release (prune): ${tag}`);
+      if (!dryRun) {
+        await targetOctokit.rest.repos.deleteRelease({ owner: targetOrg, repo: targetRepo, release_id: release.id });
+      }
+      result.deleted++;
+      continue;
+    }
+
+    const releaseFields = Object.fromEntries(RELEASE_FIELDS.map(field => [field, sourceRelease[field] ?? '']));
+    if (action === 'create') {
+      step(`create release: ${tag}${sourceRelease.draft ? ' (draft)' : ''}`);
+      if (!dryRun) {
+        ({ data: release } = await targetOctokit.rest.repos.createRelease({
+          owner: targetOrg,
+          repo: targetRepo,
+          tag_name: tag,
+          target_commitish: sourceRelease.target_commitish,
+          ...releaseFields
+        }));
+      }
+      result.created++;
+    } else if (action === 'update') {
+      step(`update release ${tag}: ${fields.join(', ')}`);
+      if (!dryRun) {
+        ({ data: release } = await targetOctokit.rest.repos.updateRelease({
+          owner: targetOrg,
+          repo: targetRepo,
+          release_id: release.id,
+          ...releaseFields
+        }));
+      }
+      result.updated++;
+    } else {
+      result.unchanged++;
+    }
+
+    for (const asset of assets.delete) {
+      step(`delete asset ${tag}/${asset.name}`);
+      if (!dryRun) {
+        await targetOctokit.rest.repos.deleteReleaseAsset({ owner: targetOrg, repo: targetRepo, asset_id: asset.id });
+      }
+      result.assetsDeleted++;
+    }
+
+    for (const { asset, target: existing } of assets.relabel) {
+      step(`relabel asset ${tag}/${asset.name}`);
+      if (!dryRun) {
+        await targetOctokit.rest.repos.updateReleaseAsset({
+          owner: targetOrg,
+          repo: targetRepo,
+          asset_id: existing.id,
+          name: asset.name,
+          label: asset.label || ''
+        });
+      }
+    }
+
+    for (const { asset, replaces } of assets.upload) {
+      step(`${replaces ? 'replace' : 'upload'} asset ${tag}/${asset.name} (${formatBytes(asset.size)})`);
+      if (!dryRun) {
+        // An asset name can only be used once per release, so remove the outdated copy first
+        if (replaces) {
+          await targetOctokit.rest.repos.deleteReleaseAsset({
+            owner: targetOrg,
+            repo: targetRepo,
+            asset_id: replaces.id
+          });
+        }
+        await copyReleaseAsset(sourceOrg, sourceRepo, asset, targetOrg, targetRepo, release);
+      }
+      result.assetsUploaded++;
+      result.bytes += asset.size;
+    }
+
+    result.assetsUnchanged += assets.unchanged;
+  }
+
+  if (!dryRun) {
+    log.info(
+      `✅ Releases synced: ${result.created} created, ${result.updated} updated, ${result.deleted} deleted, ` +
+        `${result.unchanged} unchanged; ${result.assetsUploaded} asset(s) uploaded (${formatBytes(result.bytes)}), ` +
+        `${result.assetsUnchanged} already identical`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Match source labels or milestones to the target's: first by exact name, then by name
+ * ignoring case, then as renames where exactly one unmatched source item and exactly one
+ * unmatched target item share a signature (e.g. the same color and description).
+ * @returns {Array<{
+ *   action: ('create'|'update'|'rename'|'unchanged'|'delete'|'extra'),
+ *   source?: Object,
+ *   target?: Object,
+ *   fields?: string[]
+ * }>} One change per source item, then one per unmatched target item.
+ */
+function planItemChanges(sourceItems, targetItems, { nameOf, changedFields, signatureOf, deleteExtras = false }) {
+  const unmatched = new Set(targetItems);
+  const pairs = [];
+  const take = (item, match) => {
+    unmatched.delete(match);
+    pairs.push([item, match]);
+  };
+
+  let pending = [];
+  for (const item of sourceItems) {
+    const match = [...unmatched].find(candidate => nameOf(candidate) === nameOf(item));
+    if (match) take(item, match);
+    else pending.push(item);
+  }
+
+  const remaining = [];
+  for (const item of pending) {
+    const name = nameOf(item).toLowerCase();
+    const match = [...unmatched].find(candidate => nameOf(candidate).toLowerCase() === name);
+    if (match) take(item, match);
+    else remaining.push(item);
+  }
+
+  pending = remaining;
+  for (const item of pending) {
+    const signature = signatureOf(item);
+    const candidates = signature ? [...unmatched].filter(candidate => signatureOf(candidate) === signature) : [];
+    const rivals = pending.filter(other => signatureOf(other) === signature);
+    take(item, candidates.length === 1 && rivals.length === 1 ? candidates[0] : undefined);
+  }
+
+  const changes = pairs.map(([item, match]) => {
+    if (!match) return { action: 'create', source: item };
+    const fields = changedFields(item, match);
+    let action = 'unchanged';
+    if (nameOf(item) !== nameOf(match)) action = 'rename';
+    else if (fields.length > 0) action = 'update';
+    return { action, source: item, target: match, fields };
+  });
+  for (const item of unmatched) {
+    changes.push({ action: deleteExtras ? 'delete' : 'extra', target: item });
+  }
+
+  return changes;
+}
+
+const LABEL_SYNC = {
+  kind: 'label',
+  nameOf: label => label.name,
+  changedFields: (label, existing) =>
+    [
+      label.color.toLowerCase() !== existing.color.toLowerCase() && 'color',
+      (label.description || '') !== (existing.description || '') && 'description'
+    ].filter(Boolean),
+  signatureOf: label => `${label.color.toLowerCase()}|${label.description || ''}`,
+  list: (octokit, owner, repo) =>
+    octokit.paginate(octokit.rest.issues.listLabelsForRepo, { owner, repo, per_page: 100 }),
+  create: (owner, repo, label) =>
+    targetOctokit.rest.issues.createLabel({
+      owner,
+      repo,
+      name: label.name,
+      color: label.color,
+      description: label.description || ''
+    }),
+  update: (owner, repo, label, existing) =>
+    targetOctokit.rest.issues.updateLabel({
+      owner,
+      repo,
+      name: existing.name,
+      new_name: label.name,
+      color: label.color,
+      description: label.description || ''
+    }),
+  remove: (owner, repo, existing) => targetOctokit.rest.issues.deleteLabel({ owner, repo, name: existing.name })
+};
+
+// Due dates are compared by day; GitHub stores them with a time of day that depends on the instance
+const dueDate = milestone => (milestone.due_on || '').slice(0, 10);
+
+const MILESTONE_SYNC = {
+  kind: 'milestone',
+  nameOf: milestone => milestone.title,
+  changedFields: (milestone, existing) =>
+    [
+      milestone.state !== existing.state && 'state',
+      dueDate(milestone) !== dueDate(existing) && 'due date',
+      (milestone.description || '') !== (existing.description || '') && 'description'
+    ].filter(Boolean),
+  // Milestones without a due date or description have nothing to recognise a rename by
+  signatureOf: milestone =>
+    milestone.due_on || milestone.description ? `${dueDate(milestone)}|${milestone.description || ''}` : undefined,
+  list: (octokit, owner, repo) =>
+    octokit.paginate(octokit.rest.issues.listMilestones, { owner, repo, state: 'all', per_page: 100 }),
+  create: (owner, repo, milestone) =>
+    targetOctokit.rest.issues.createMilestone({
+      owner,
+      repo,
+      title: milestone.title,
+      state: milestone.state,
+      description: milestone.description || '',
+      due_on: milestone.due_on || undefined
+    }),
+  update: (owner, repo, milestone, existing) =>
+    targetOctokit.rest.issues.updateMilestone({
+      owner,
+      repo,
+      milestone_number: existing.number,
+      title: milestone.title,
+      state: milestone.state,
+      description: milestone.description || '',
+      due_on: milestone.due_on || null
+    }),
+  remove: (owner, repo, existing) =>
+    targetOctokit.rest.issues.deleteMilestone({ owner, repo, milestone_number: existing.number })
+};
+
+/**
+ * Plan the label changes that make the target's labels (name, color, description) match the source's
+ * @param {Object[]} sourceLabels - Labels of the source repository.
+ * @param {Object[]} targetLabels - Labels of the target repository.
+ * @param {boolean} [deleteExtras=false] - Delete target labels that have no source counterpart.
+ * @returns {ReturnType<typeof planItemChanges>} Label changes.
+ */
+export function planLabelChanges(sourceLabels, targetLabels, deleteExtras = false) {
+  return planItemChanges(sourceLabels, targetLabels, { ...LABEL_SYNC, deleteExtras });
+}
+
+/**
+ * Plan the milestone changes that make the target's milestones (title, state, due date, description)
+ * match the source's
+ * @param {Object[]} sourceMilestones - Milestones of the source repository (open and closed).
+ * @param {Object[]} targetMilestones - Milestones of the target repository (open and closed).
+ * @param {boolean} [deleteExtras=false] - Delete target milestones that have no source counterpart.
+ * @returns {ReturnType<typeof planItemChanges>} Milestone changes.
+ */
+export function planMilestoneChanges(sourceMilestones, targetMilestones, deleteExtras = false) {
+  return planItemChanges(sourceMilestones, targetMilestones, { ...MILESTONE_SYNC, deleteExtras });
+}
+
+/**
+ * Make the target's labels or milestones match the source's
+ * @param {Object} itemSync - LABEL_SYNC or MILESTONE_SYNC.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteExtras=false] - Delete target items that have no source counterpart.
+ * @param {boolean} [options.targetExists=true] - When false, the target has nothing to list yet.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{
+ *   created: number,
+ *   updated: number,
+ *   renamed: number,
+ *   deleted: number,
+ *   unchanged: number,
+ *   extra: number,
+ *   failed: string[],
+ *   steps: string[]
+ * }>} Counts of what changed (or would change), the changes that failed, and a description of each step.
+ */
+async function syncIssueItems(
+  itemSync,
+  source,
+  target,
+  { deleteExtras = false, targetExists = true, dryRun = false } = {}
+) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+  const { kind, nameOf } = itemSync;
+
+  const sourceItems = await itemSync.list(sourceOctokit, sourceOrg, sourceRepo);
+  const targetItems = targetExists ? await itemSync.list(targetOctokit, targetOrg, targetRepo) : [];
+  const changes = planItemChanges(sourceItems, targetItems, { ...itemSync, deleteExtras });
+
+  const result = { created: 0, updated: 0, renamed: 0, deleted: 0, unchanged: 0, extra: 0, failed: [], steps: [] };
+  const step = message => {
+    result.steps.push(message);
+    if (!dryRun) log.info(`  ${message}`);
+  };
+
+  if (!dryRun) log.info(`Syncing ${sourceItems.length} ${kind}(s)...`);
+
+  const counters = { create: 'created', update: 'updated', rename: 'renamed', delete: 'deleted' };
+  for (const { action, source: item, target: existing, fields } of changes) {
+    if (!counters[action]) {
+      result[action]++;
+      continue;
+    }
+
+    let message;
+    let call;
+    if (action === 'create') {
+      message = `create ${kind}: ${nameOf(item)}`;
+      call = () => itemSync.create(targetOrg, targetRepo, item);
+    } else if (action === 'delete') {
+      message = `delete ${kind}: ${nameOf(existing)}`;
+      call = () => itemSync.remove(targetOrg, targetRepo, existing);
+    } else {
+      const detail = fields.length > 0 ? ` (${fields.join(', ')})` : '';
+      message =
+        action === 'rename'
+          ? `rename ${kind}: ${nameOf(existing)} → ${nameOf(item)}${detail}`
+          : `update ${kind} ${nameOf(item)}: ${fields.join(', ')}`;
+      call = () => itemSync.update(targetOrg, targetRepo, item, existing);
+    }
+
+    step(message);
+    try {
+      if (!dryRun) await call();
+      result[counters[action]]++;
+    } catch (error) {
+      log.warning(`Could not ${message}: ${error.message}`);
+      result.failed.push(`${message}: ${error.message}`);
+    }
+  }
+
+  if (result.extra > 0) {
+    step(`keep ${result.extra} ${kind}(s) that aren't in the source`);
+  }
+  if (!dryRun) {
+    const failed = result.failed.length > 0 ? `, ${result.failed.length} failed` : '';
+    log.info(
+      `✅ ${kind === 'label' ? 'Labels' : 'Milestones'} synced: ${result.created} created, ${result.updated} updated, ` +
+        `${result.renamed} renamed, ${result.deleted} deleted, ${result.unchanged} unchanged${failed}`
+    );
+  }
+
+  return result;
+}
+
+// Hidden markers that map copied issues and comments back to their source, so repeat runs update them
+const ISSUE_MARKER_REGEX = /<!-- repo-sync:source=([^\s#]+)#(\d+) -->/;
+const COMMENT_MARKER_REGEX = /<!-- repo-sync:comment=(\d+) -->/;
+
+/**
+ * Keep copied @mentions from notifying anyone on the target by inserting a zero-width space
+ */
+function neutralizeMentions(text) {
+  return String(text || '').replace(/(^|[^\w`/])@([A-Za-z0-9][A-Za-z0-9-]*)/g, '$1@\u200b$2');
+}
+
+/**
+ * Compare two issue or comment bodies, ignoring line endings and surrounding whitespace,
+ * which GitHub normalizes on write
+ */
+function sameBody(a, b) {
+  const normalize = text =>
+    String(text || '')
+      .replace(/\r\n/g, '\n')
+      .trim();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Render the body of a copied issue: a marker, a header crediting the original author and
+ * linking to the original, then the original body
+ * @param {Object} item - Source issue or pull request (from issues.listForRepo).
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @returns {string} Body for the target issue.
+ */
+export function renderIssueBody(item, source) {
+  const kind = item.pull_request ? 'Pull request' : 'Issue';
+  const author = item.user ? `[@\u200b${item.user.login}](${item.user.html_url})` : 'a deleted user';
+  const lines = [
+    `<!-- repo-sync:source=${source}#${item.number} -->`,
+    `> **${kind} [${source}#${item.number}](${item.html_url})** opened by ${author} on ${item.created_at}`
+  ];
+  if (item.pull_request?.merged_at) lines.push(`> Merged on ${item.pull_request.merged_at}`);
+  else if (item.closed_at) lines.push(`> Closed on ${item.closed_at}`);
+
+  return `${lines.join('\n')}\n\n${neutralizeMentions(item.body)}`;
+}
+
+/**
+ * Render the body of a copied comment, crediting the original author and linking to the original
+ * @param {Object} comment - Source issue comment.
+ * @returns {string} Body for the target comment.
+ */
+export function renderCommentBody(comment) {
+  const author = comment.user ? `[@\u200b${comment.user.login}](${comment.user.html_url})` : 'A deleted user';
+  return [
+    `<!-- repo-sync:comment=${comment.id} -->`,
+    `> ${author} [commented](${comment.html_url}) on ${comment.created_at}`,
+    '',
+    neutralizeMentions(comment.body)
+  ].join('\n');
+}
+
+/**
+ * Copy a source issue's comments onto its target issue, updating earlier copies
+ * @returns {Promise<{created: number, updated: number}>} Comments created and updated.
+ */
+async function syncIssueComments(source, target, item, targetIssue) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+  const counts = { created: 0, updated: 0 };
+  if (!item.comments) return counts;
+
+  const comments = await sourceOctokit.paginate(sourceOctokit.rest.issues.listComments, {
+    owner: sourceOrg,
+    repo: sourceRepo,
+    issue_number: item.number,
+    per_page: 100
+  });
+  const existing = new Map();
+  if (targetIssue.comments) {
+    const targetComments = await targetOctokit.paginate(targetOctokit.rest.issues.listComments, {
+      owner: targetOrg,
+      repo: targetRepo,
+      issue_number: targetIssue.number,
+      per_page: 100
+    });
+    for (const comment of targetComments) {
+      const match = (comment.body || '').match(COMMENT_MARKER_REGEX);
+      if (match) existing.set(Number(match[1]), comment);
+    }
+  }
+
+  for (const comment of comments) {
+    const body = renderCommentBody(comment);
+    const copy = existing.get(comment.id);
+    if (!copy) {
+      await targetOctokit.rest.issues.createComment({
+        owner: targetOrg,
+        repo: targetRepo,
+        issue_number: targetIssue.number,
+        body
+      });
+      counts.created++;
+    } else if (!sameBody(copy.body, body)) {
+      await targetOctokit.rest.issues.updateComment({ owner: targetOrg, repo: targetRepo, comment_id: copy.id, body });
+      counts.updated++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Copy issues and pull requests (as issues) with their comments from the source to the target.
+ * Each copy carries a marker with its source number, which maps it back on later runs so it is
+ * updated instead of duplicated.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [options]
+ * @param {boolean} [options.targetExists=true] - When false, the target has no issues to list yet.
+ * @param {boolean} [options.dryRun=false] - When true, only count what would be created or updated.
+ * @returns {Promise<{
+ *   created: number,
+ *   updated: number,
+ *   unchanged: number,
+ *   commentsCreated: number,
+ *   commentsUpdated: number,
+ *   steps: string[]
+ * }>} Counts of issues and comments changed (comments aren't counted in a dry run).
+ */
+async function syncIssues(source, target, { targetExists = true, dryRun = false } = {}) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+
+  const sourceItems = await sourceOctokit.paginate(sourceOctokit.rest.issues.listForRepo, {
+    owner: sourceOrg,
+    repo: sourceRepo,
+    state: 'all',
+    sort: 'created',
+    direction: 'asc',
+    per_page: 100
+  });
+  const targetItems = targetExists
+    ? await targetOctokit.paginate(targetOctokit.rest.issues.listForRepo, {
+        owner: targetOrg,
+        repo: targetRepo,
+        state: 'all',
+        per_page: 100
+      })
+    : [];
+
+  const copies = new Map();
+  for (const issue of targetItems) {
+    const match = (issue.body || '').match(ISSUE_MARKER_REGEX);
+    if (match && match[1] === source) copies.set(Number(match[2]), issue);
+  }
+
+  const result = { created: 0, updated: 0, unchanged: 0, commentsCreated: 0, commentsUpdated: 0, steps: [] };
+  if (!dryRun) log.info(`Syncing ${sourceItems.length} issue(s) and pull request(s)...`);
+
+  for (const item of sourceItems) {
+    const body = renderIssueBody(item, source);
+    const state = item.state === 'closed' ? 'closed' : 'open';
+    // Merged pull requests are closed as completed; other closed items keep their reason
+    const stateReason = state === 'closed' ? item.state_reason || 'completed' : undefined;
+    let copy = copies.get(item.number);
+
+    if (!copy) {
+      result.created++;
+      if (dryRun) continue;
+      ({ data: copy } = await targetOctokit.rest.issues.create({
+        owner: targetOrg,
+        repo: targetRepo,
+        title: item.title,
+        body,
+        labels: (item.labels || []).map(issueLabel => (typeof issueLabel === 'string' ? issueLabel : issueLabel.name))
+      }));
+      if (state === 'closed') {
+        await targetOctokit.rest.issues.update({
+          owner: targetOrg,
+          repo: targetRepo,
+          issue_number: copy.number,
+          state,
+          state_reason: stateReason
+        });
+      }
+      log.info(`  Created #${copy.number} from ${source}#${item.number}`);
+    } else if (copy.title !== item.title || !sameBody(copy.body, body) || copy.state !== state) {
+      result.updated++;
+      if (dryRun) continue;
+      await targetOctokit.rest.issues.update({
+        owner: targetOrg,
+        repo: targetRepo,
+        issue_number: copy.number,
+        title: item.title,
+        body,
+        state,
+        state_reason: stateReason
+      });
+      log.info(`  Updated #${copy.number} from ${source}#${item.number}`);
+    } else {
+      result.unchanged++;
+      if (dryRun) continue;
+    }
+
+    const comments = await syncIssueComments(source, target, item, copy);
+    result.commentsCreated += comments.created;
+    result.commentsUpdated += comments.updated;
+  }
+
+  if (result.created > 0) result.steps.push(`create ${result.created} issue(s) from issues and pull requests`);
+  if (result.updated > 0) result.steps.push(`update ${result.updated} copied issue(s)`);
+  if (!dryRun) {
+    log.info(
+      `✅ Issues synced: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged; ` +
+        `${result.commentsCreated} comment(s) created, ${result.commentsUpdated} updated`
+    );
+  }
+
+  return result;
+}
+
+// Teams and app installations per org, listed once per run for translating protection rules
+const orgActorDirectories = new Map();
+
+/**
+ * List an org's teams and installed apps, keyed both by ID and by slug. When they can't be listed
+ * (e.g. a user-owned repository or a token without org read access) the directory is unavailable.
+ * @returns {Promise<{
+ *   available: boolean,
+ *   teamsById: Map<number, string>,
+ *   teamsBySlug: Map<string, number>,
+ *   appsById: Map<number, string>,
+ *   appsBySlug: Map<string, number>
+ * }>} The org's actor directory.
+ */
+function getOrgActorDirectory(octokit, side, org) {
+  const key = `${side}:${org}`;
+  if (!orgActorDirectories.has(key)) {
+    orgActorDirectories.set(
+      key,
+      (async () => {
+        const directory = {
+          available: false,
+          teamsById: new Map(),
+          teamsBySlug: new Map(),
+          appsById: new Map(),
+          appsBySlug: new Map()
+        };
+        try {
+          const teams = await octokit.paginate(octokit.rest.teams.list, { org, per_page: 100 });
+          const installations = await octokit.paginate(octokit.rest.orgs.listAppInstallations, { org, per_page: 100 });
+          for (const team of teams) {
+            directory.teamsById.set(team.id, team.slug);
+            directory.teamsBySlug.set(team.slug, team.id);
+          }
+          for (const installation of installations) {
+            directory.appsById.set(installation.app_id, installation.app_slug);
+            directory.appsBySlug.set(installation.app_slug, installation.app_id);
+          }
+          directory.available = true;
+        } catch (error) {
+          log.warning(`Could not list teams and apps of ${side} org ${org}: ${error.message}`);
+        }
+        return directory;
+      })()
+    );
+  }
+  return orgActorDirectories.get(key);
+}
+
+/**
+ * Translate a source team or app slug through the mapping table and look it up in the target org
+ * @returns {{slug: string, id?: number}|undefined} Target slug (and ID when known), or undefined if the
+ *   target org is known not to have it.
+ */
+function mapActorSlug(kind, slug, { mapping = {}, target }) {
+  const mapped = mapping[kind]?.[slug] ?? slug;
+  const bySlug = kind === 'teams' ? target.teamsBySlug : target.appsBySlug;
+  if (!target.available) return { slug: mapped };
+  return bySlug.has(mapped) ? { slug: mapped, id: bySlug.get(mapped) } : undefined;
+}
+
+/**
+ * Translate a source team or app ID into the matching target ID
+ * @returns {{id?: number, problem?: string}} Target ID, or why it couldn't be translated.
+ */
+function mapActorId(kind, id, context) {
+  const noun = kind === 'teams' ? 'team' : 'app';
+  const slug = (kind === 'teams' ? context.source.teamsById : context.source.appsById).get(id);
+  if (!slug) return { problem: `unknown source ${noun} ${id}` };
+  const mapped = mapActorSlug(kind, slug, context);
+  if (mapped?.id === undefined) {
+    return { problem: `${noun} '${context.mapping?.[kind]?.[slug] ?? slug}' not found in the target org` };
+  }
+  return { id: mapped.id };
+}
+
+// Built-in repository roles have the same IDs in every org; custom roles are org-specific
+const BUILTIN_REPOSITORY_ROLE_IDS = new Set([1, 2, 3, 4, 5]);
+// Bypass actor types that don't refer to anything in the source org
+const PORTABLE_BYPASS_ACTOR_TYPES = new Set(['OrganizationAdmin', 'DeployKey']);
+
+/**
+ * Translate a source repository ruleset into parameters for creating it on the target. Team and
+ * app bypass actors and status check apps are remapped through the actor mapping; custom
+ * repository roles and anything else that can't be translated are dropped and reported.
+ * @param {Object} ruleset - Full ruleset from getRepoRuleset.
+ * @param {Object} context
+ * @param {Object} context.source - Actor directory of the source org (see getOrgActorDirectory).
+ * @param {Object} context.target - Actor directory of the target org.
+ * @param {{teams?: Object<string, string>, apps?: Object<string, string>}} [context.mapping] - Actor mapping table.
+ * @returns {{params: Object, untranslated: string[]}} Ruleset parameters and what was dropped.
+ */
+export function translateRuleset(ruleset, context) {
+  const untranslated = [];
+  const where = `ruleset '${ruleset.name}'`;
+
+  const bypassActors = [];
+  for (const actor of ruleset.bypass_actors || []) {
+    const kind = { Team: 'teams', Integration: 'apps' }[actor.actor_type];
+    if (!kind) {
+      const portable =
+        PORTABLE_BYPASS_ACTOR_TYPES.has(actor.actor_type) ||
+        (actor.actor_type === 'RepositoryRole' && BUILTIN_REPOSITORY_ROLE_IDS.has(actor.actor_id));
+      if (portable) bypassActors.push(actor);
+      else
+        untranslated.push(
+          `${where}: bypass actor dropped (${actor.actor_type} ${actor.actor_id} is specific to the source org)`
+        );
+      continue;
+    }
+    const { id, problem } = mapActorId(kind, actor.actor_id, context);
+    if (problem) untranslated.push(`${where}: bypass actor dropped (${problem})`);
+    else bypassActors.push({ ...actor, actor_id: id });
+  }
+
+  const rules = [];
+  for (const rule of ruleset.rules || []) {
+    if (rule.type === 'workflows') {
+      // Required workflows point at repositories by ID in the source org
+      untranslated.push(`${where}: 'workflows' rule dropped (references source repositories)`);
+    } else if (rule.type === 'required_status_checks') {
+      const checks = rule.parameters.required_status_checks.map(check => {
+        if (check.integration_id === undefined || check.integration_id === null) return check;
+        const { id, problem } = mapActorId('apps', check.integration_id, context);
+        if (!problem) return { ...check, integration_id: id };
+        untranslated.push(`${where}: status check '${check.context}' now accepts any app (${problem})`);
+        return { context: check.context };
+      });
+      rules.push({ ...rule, parameters: { ...rule.parameters, required_status_checks: checks } });
+    } else {
+      rules.push(rule);
+    }
+  }
+
+  return {
+    params: {
+      name: ruleset.name,
+      target: ruleset.target,
+      enforcement: ruleset.enforcement,
+      bypass_actors: bypassActors,
+      conditions: ruleset.conditions,
+      rules
+    },
+    untranslated
+  };
+}
+
+/**
+ * Translate a classic branch protection (from getBranchProtection) into parameters for
+ * updateBranchProtection on the target. Teams and apps are remapped through the actor mapping;
+ * ones missing from the target org are dropped and reported.
+ * @param {string} branch - Protected branch name.
+ * @param {Object} protection - Branch protection of the source branch.
+ * @param {Object} context - Same as for translateRuleset.
+ * @returns {{params: Object, untranslated: string[]}} Branch protection parameters and what was dropped.
+ */
+export function translateBranchProtection(branch, protection, context) {
+  const untranslated = [];
+  const where = `branch protection '${branch}'`;
+
+  const mapAllowances = (allowances, field) => {
+    if (!allowances) return undefined;
+    const mapSlugs = (kind, items = []) =>
+      items.flatMap(({ slug }) => {
+        const mapped = mapActorSlug(kind, slug, context);
+        if (mapped) return [mapped.slug];
+        untranslated.push(`${where}: ${kind === 'teams' ? 'team' : 'app'} '${slug}' dropped from ${field}`);
+        return [];
+      });
+    return {
+      users: (allowances.users || []).map(({ login }) => context.mapping?.users?.[login] ?? login),
+      teams: mapSlugs('teams', allowances.teams),
+      apps: mapSlugs('apps', allowances.apps)
+    };
+  };
+
+  const statusChecks = protection.required_status_checks;
+  const reviews = protection.required_pull_request_reviews;
+  const enabled = setting => Boolean(setting?.enabled);
+
+  return {
+    params: {
+      branch,
+      required_status_checks: statusChecks
+        ? {
+            strict: Boolean(statusChecks.strict),
+            checks: (statusChecks.checks || []).map(({ context: checkContext, app_id: appId }) => {
+              if (appId === null || appId === undefined || appId === -1) return { context: checkContext };
+              const { id, problem } = mapActorId('apps', appId, context);
+              if (!problem) return { context: checkContext, app_id: id };
+              untranslated.push(`${where}: status check '${checkContext}' now accepts any app (${problem})`);
+              return { context: checkContext };
+            })
+          }
+        : null,
+      enforce_admins: enabled(protection.enforce_admins),
+      required_pull_request_reviews: reviews
+        ? {
+            dismiss_stale_reviews: Boolean(reviews.dismiss_stale_reviews),
+            require_code_owner_reviews: Boolean(reviews.require_code_owner_reviews),
+            required_approving_review_count: reviews.required_approving_review_count ?? 1,
+            require_last_push_approval: Boolean(reviews.require_last_push_approval),
+            dismissal_restrictions: mapAllowances(reviews.dismissal_restrictions, 'dismissal restrictions'),
+            bypass_pull_request_allowances: mapAllowances(reviews.bypass_pull_request_allowances, 'review bypass')
+          }
+        : null,
+      restrictions: mapAllowances(protection.restrictions, 'push restrictions') ?? null,
+      required_linear_history: enabled(protection.required_linear_history),
+      allow_force_pushes: enabled(protection.allow_force_pushes),
+      allow_deletions: enabled(protection.allow_deletions),
+      block_creations: enabled(protection.block_creations),
+      required_conversation_resolution: enabled(protection.required_conversation_resolution),
+      lock_branch: enabled(protection.lock_branch),
+      allow_fork_syncing: enabled(protection.allow_fork_syncing)
+    },
+    untranslated
+  };
+}
+
+/**
+ * Recreate the source's repository rulesets and classic branch protection on the target.
+ * Rulesets are matched by name. Rules that can't be translated, and API calls that fail, are
+ * reported rather than failing the repository.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [options]
+ * @param {{teams?: Object<string, string>, apps?: Object<string, string>}} [options.mapping] - Actor mapping table.
+ * @param {boolean} [options.targetExists=true] - When false, the target has no rulesets or branches yet.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{
+ *   rulesetsCreated: number,
+ *   rulesetsUpdated: number,
+ *   branchesProtected: number,
+ *   untranslated: string[],
+ *   steps: string[]
+ * }>} What changed (or would change) and everything that couldn't be translated.
+ */
+async function syncBranchProtection(source, target, { mapping, targetExists = true, dryRun = false } = {}) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+  const context = {
+    mapping,
+    source: await getOrgActorDirectory(sourceOctokit, 'source', sourceOrg),
+    target: await getOrgActorDirectory(targetOctokit, 'target', targetOrg)
+  };
+
+  const result = { rulesetsCreated: 0, rulesetsUpdated: 0, branchesProtected: 0, untranslated: [], steps: [] };
+  const step = message => {
+    result.steps.push(message);
+    if (!dryRun) log.info(`  ${message}`);
+  };
+  const apply = async (description, call) => {
+    try {
+      if (!dryRun) await call();
+      return true;
+    } catch (error) {
+      result.untranslated.push(`${description}: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Rulesets inherited from the org or enterprise are left to those levels
+  const rulesetSummaries = await sourceOctokit.paginate(sourceOctokit.rest.repos.getRepoRulesets, {
+    owner: sourceOrg,
+    repo: sourceRepo,
+    includes_parents: false,
+    per_page: 100
+  });
+  const targetRulesets = targetExists
+    ? await targetOctokit.paginate(targetOctokit.rest.repos.getRepoRulesets, {
+        owner: targetOrg,
+        repo: targetRepo,
+        includes_parents: false,
+        per_page: 100
+      })
+    : [];
+  const targetRulesetIds = new Map(targetRulesets.map(ruleset => [ruleset.name, ruleset.id]));
+
+  for (const summary of rulesetSummaries) {
+    const { data: ruleset } = await sourceOctokit.rest.repos.getRepoRuleset({
+      owner: sourceOrg,
+      repo: sourceRepo,
+      ruleset_id: summary.id
+    });
+    const { params, untranslated } = translateRuleset(ruleset, context);
+    result.untranslated.push(...untranslated);
+
+    const existingId = targetRulesetIds.get(ruleset.name);
+    const description = `ruleset '${ruleset.name}'`;
+    if (existingId === undefined) {
+      step(`create ${description}`);
+      const done = await apply(description, () =>
+        targetOctokit.rest.repos.createRepoRuleset({ owner: targetOrg, repo: targetRepo, ...params })
+      );
+      if (done) result.rulesetsCreated++;
+    } else {
+      step(`update ${description}`);
+      const done = await apply(description, () =>
+        targetOctokit.rest.repos.updateRepoRuleset({
+          owner: targetOrg,
+          repo: targetRepo,
+          ruleset_id: existingId,
+          ...params
+        })
+      );
+      if (done) result.rulesetsUpdated++;
+    }
+  }
+
+  const protectedBranches = await sourceOctokit.paginate(sourceOctokit.rest.repos.listBranches, {
+    owner: sourceOrg,
+    repo: sourceRepo,
+    protected: true,
+    per_page: 100
+  });
+
+  for (const { name: branch } of protectedBranches) {
+    // Branches protected only by rulesets have no classic protection to read (404)
+    let protection;
+    try {
+      ({ data: protection } = await sourceOctokit.rest.repos.getBranchProtection({
+        owner: sourceOrg,
+        repo: sourceRepo,
+        branch
+      }));
+    } catch (error) {
+      result.untranslated.push(`branch '${branch}': could not read protection (${error.message})`);
+      continue;
+    }
+    const { params, untranslated } = translateBranchProtection(branch, protection, context);
+    result.untranslated.push(...untranslated);
+
+    step(`protect branch: ${branch}`);
+    const done = await apply(`branch protection '${branch}'`, () =>
+      targetOctokit.rest.repos.updateBranchProtection({ owner: targetOrg, repo: targetRepo, ...params })
+    );
+    if (done) result.branchesProtected++;
+  }
+
+  for (const problem of result.untranslated) {
+    if (dryRun) result.steps.push(`cannot translate: ${problem}`);
+    else log.warning(`Could not translate ${problem}`);
+  }
+  if (!dryRun) {
+    log.info(
+      `✅ Branch protection synced: ${result.rulesetsCreated} ruleset(s) created, ${result.rulesetsUpdated} updated, ` +
+        `${result.branchesProtected} branch(es) protected, ${result.untranslated.length} problem(s)`
+    );
+  }
+
+  return result;
+}
+
+// Actions API methods for repository-level and environment-level variables and secrets
+const VARIABLE_SCOPES = {
+  repository: {
+    listVariables: 'listRepoVariables',
+    listSecrets: 'listRepoSecrets',
+    create: 'createRepoVariable',
+    update: 'updateRepoVariable'
+  },
+  environment: {
+    listVariables: 'listEnvironmentVariables',
+    listSecrets: 'listEnvironmentSecrets',
+    create: 'createEnvironmentVariable',
+    update: 'updateEnvironmentVariable'
+  }
+};
+
+/**
+ * Copy Actions variables from the source to the target, for the repository or one of its
+ * environments, and list the source secrets the target doesn't have. Secret values can't be
+ * read through the API, so missing secrets are only reported.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [options]
+ * @param {string} [options.environment] - Environment name; omit for repository variables.
+ * @param {boolean} [options.targetExists=true] - When false, the target has no variables or secrets yet.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{created: number, updated: number, failed: string[], missingSecrets: string[], steps: string[]}>}
+ *   What changed (or would change); missing secrets are named `<environment>/<name>` for environments.
+ */
+async function syncVariables(source, target, { environment, targetExists = true, dryRun = false } = {}) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+  const methods = VARIABLE_SCOPES[environment ? 'environment' : 'repository'];
+  const scope = environment ? { environment_name: environment } : {};
+  const where = environment ? ` in environment '${environment}'` : '';
+  const list = (octokit, owner, repo, method) =>
+    octokit.paginate(octokit.rest.actions[method], { owner, repo, ...scope, per_page: 30 });
+
+  const sourceVariables = await list(sourceOctokit, sourceOrg, sourceRepo, methods.listVariables);
+  const sourceSecrets = await list(sourceOctokit, sourceOrg, sourceRepo, methods.listSecrets);
+  const targetVariables = targetExists ? await list(targetOctokit, targetOrg, targetRepo, methods.listVariables) : [];
+  const targetSecrets = targetExists ? await list(targetOctokit, targetOrg, targetRepo, methods.listSecrets) : [];
+  const targetValues = new Map(targetVariables.map(({ name, value }) => [name, value]));
+  const targetSecretNames = new Set(targetSecrets.map(({ name }) => name));
+
+  const result = { created: 0, updated: 0, failed: [], missingSecrets: [], steps: [] };
+
+  for (const { name, value } of sourceVariables) {
+    const current = targetValues.get(name);
+    if (current === value) continue;
+
+    const action = current === undefined ? 'create' : 'update';
+    const message = `${action} variable${where}: ${name}`;
+    result.steps.push(message);
+    try {
+      if (!dryRun) {
+        await targetOctokit.rest.actions[methods[action]]({
+          owner: targetOrg,
+          repo: targetRepo,
+          ...scope,
+          name,
+          value
+        });
+        log.info(`  ${message}`);
+      }
+      result[action === 'create' ? 'created' : 'updated']++;
+    } catch (error) {
+      log.warning(`Could not ${message}: ${error.message}`);
+      result.failed.push(`variable ${name}${where}: ${error.message}`);
+    }
+  }
+
+  for (const { name } of sourceSecrets) {
+    if (targetSecretNames.has(name)) continue;
+    result.missingSecrets.push(environment ? `${environment}/${name}` : name);
+    result.steps.push(`missing secret${where}: ${name} (set it on the target by hand)`);
+  }
+
+  if (!dryRun && !environment) {
+    log.info(
+      `✅ Variables synced: ${result.created} created, ${result.updated} updated; ` +
+        `${result.missingSecrets.length} secret(s) missing on the target`
+    );
+  }
+  for (const name of dryRun ? [] : result.missingSecrets) log.warning(`Secret missing on the target: ${name}`);
+
+  return result;
+}
+
+// Target user IDs by login, looked up once per run for environment reviewers
+const targetUserIds = new Map();
+
+function getTargetUserId(login) {
+  if (!targetUserIds.has(login)) {
+    targetUserIds.set(
+      login,
+      (async () => {
+        try {
+          const { data } = await targetOctokit.rest.users.getByUsername({ username: login });
+          return data.id;
+        } catch {
+          return undefined;
+        }
+      })()
+    );
+  }
+  return targetUserIds.get(login);
+}
+
+/**
+ * Translate a source deployment environment (from getAllEnvironments) into parameters for
+ * createOrUpdateEnvironment on the target. Team reviewers are remapped through the actor mapping and
+ * looked up in the target org; user reviewers are remapped by login. Reviewers that can't be found
+ * are dropped and reported.
+ * @param {Object} environment - Source environment.
+ * @param {Object} context
+ * @param {Object} context.target - Actor directory of the target org (see getOrgActorDirectory).
+ * @param {Map<string, number>} context.users - Target user IDs by (mapped) login.
+ * @param {{teams?: Object<string, string>, users?: Object<string, string>}} [context.mapping] - Actor mapping table.
+ * @returns {{params: Object, untranslated: string[]}} Environment parameters and what was dropped.
+ */
+export function translateEnvironment(environment, context) {
+  const untranslated = [];
+  const where = `environment '${environment.name}'`;
+  const rules = environment.protection_rules || [];
+  const reviewersRule = rules.find(({ type }) => type === 'required_reviewers');
+
+  const reviewers = [];
+  for (const { type, reviewer } of reviewersRule?.reviewers || []) {
+    if (type === 'Team') {
+      const mapped = mapActorSlug('teams', reviewer.slug, context);
+      if (mapped?.id === undefined) {
+        const slug = context.mapping?.teams?.[reviewer.slug] ?? reviewer.slug;
+        untranslated.push(`${where}: reviewer team '${slug}' not found in the target org`);
+      } else {
+        reviewers.push({ type, id: mapped.id });
+      }
+    } else {
+      const login = context.mapping?.users?.[reviewer.login] ?? reviewer.login;
+      const id = context.users.get(login);
+      if (id === undefined) untranslated.push(`${where}: reviewer '${login}' not found on the target`);
+      else reviewers.push({ type: 'User', id });
+    }
+  }
+
+  const branchPolicy = environment.deployment_branch_policy;
+  return {
+    params: {
+      environment_name: environment.name,
+      wait_timer: rules.find(({ type }) => type === 'wait_timer')?.wait_timer ?? 0,
+      prevent_self_review: reviewersRule?.prevent_self_review ?? false,
+      reviewers,
+      deployment_branch_policy: branchPolicy
+        ? {
+            protected_branches: branchPolicy.protected_branches,
+            custom_branch_policies: branchPolicy.custom_branch_policies
+          }
+        : null,
+      can_admins_bypass: environment.can_admins_bypass ?? true
+    },
+    untranslated
+  };
+}
+
+/**
+ * Recreate the source's deployment environments on the target: protection rules, reviewers, custom
+ * branch and tag policies (extra ones on the target are removed), and environment variables. Missing
+ * environment secrets are reported. Reviewers that can't be translated and API calls that fail are
+ * reported rather than failing the repository.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} [options]
+ * @param {{teams?: Object<string, string>, users?: Object<string, string>}} [options.mapping] - Actor mapping table.
+ * @param {boolean} [options.targetExists=true] - When false, the target has no environments yet.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{
+ *   created: number,
+ *   updated: number,
+ *   variablesCreated: number,
+ *   variablesUpdated: number,
+ *   untranslated: string[],
+ *   missingSecrets: string[],
+ *   steps: string[]
+ * }>} What changed (or would change), what couldn't be translated, and the secrets to set by hand.
+ */
+async function syncEnvironments(source, target, { mapping, targetExists = true, dryRun = false } = {}) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+
+  const result = {
+    created: 0,
+    updated: 0,
+    variablesCreated: 0,
+    variablesUpdated: 0,
+    untranslated: [],
+    missingSecrets: [],
+    steps: []
+  };
+  const step = message => {
+    result.steps.push(message);
+    if (!dryRun) log.info(`  ${message}`);
+  };
+  const apply = async (description, call) => {
+    try {
+      if (!dryRun) await call();
+      return true;
+    } catch (error) {
+      result.untranslated.push(`${description}: ${error.message}`);
+      return false;
+    }
+  };
+
+  const sourceEnvironments = await sourceOctokit.paginate(sourceOctokit.rest.repos.getAllEnvironments, {
+    owner: sourceOrg,
+    repo: sourceRepo,
+    per_page: 100
+  });
+  const targetEnvironments = targetExists
+    ? await targetOctokit.paginate(targetOctokit.rest.repos.getAllEnvironments, {
+        owner: targetOrg,
+        repo: targetRepo,
+        per_page: 100
+      })
+    : [];
+  const existing = new Set(targetEnvironments.map(({ name }) => name));
+
+  // Look up every user reviewer once, under its mapped login
+  const users = new Map();
+  for (const environment of sourceEnvironments) {
+    for (const rule of environment.protection_rules || []) {
+      for (const { type, reviewer } of rule.reviewers || []) {
+        if (type !== 'User') continue;
+        const login = mapping?.users?.[reviewer.login] ?? reviewer.login;
+        const id = await getTargetUserId(login);
+        if (id !== undefined) users.set(login, id);
+      }
+    }
+  }
+  const context = { mapping, users, target: await getOrgActorDirectory(targetOctokit, 'target', targetOrg) };
+
+  for (const environment of sourceEnvironments) {
+    const { name } = environment;
+    const where = `environment '${name}'`;
+    const { params, untranslated } = translateEnvironment(environment, context);
+    result.untranslated.push(...untranslated);
+
+    const exists = existing.has(name);
+    step(`${exists ? 'update' : 'create'} ${where}`);
+    const done = await apply(where, () =>
+      targetOctokit.rest.repos.createOrUpdateEnvironment({ owner: targetOrg, repo: targetRepo, ...params })
+    );
+    if (!done) continue;
+    result[exists ? 'updated' : 'created']++;
+
+    if (environment.deployment_branch_policy?.custom_branch_policies) {
+      const policyParams = { environment_name: name, per_page: 100 };
+      const sourcePolicies = await sourceOctokit.paginate(sourceOctokit.rest.repos.listDeploymentBranchPolicies, {
+        owner: sourceOrg,
+        repo: sourceRepo,
+        ...policyParams
+      });
+      const targetPolicies = exists
+        ? await targetOctokit.paginate(targetOctokit.rest.repos.listDeploymentBranchPolicies, {
+            owner: targetOrg,
+            repo: targetRepo,
+            ...policyParams
+          })
+        : [];
+      const key = policy => `${policy.type ?? 'branch'}:${policy.name}`;
+      const sourceKeys = new Set(sourcePolicies.map(key));
+      const targetKeys = new Set(targetPolicies.map(key));
+
+      for (const policy of sourcePolicies) {
+        if (targetKeys.has(key(policy))) continue;
+        const type = policy.type ?? 'branch';
+        step(`add ${type} policy to ${where}: ${policy.name}`);
+        await apply(`${type} policy '${policy.name}' in ${where}`, () =>
+          targetOctokit.rest.repos.createDeploymentBranchPolicy({
+            owner: targetOrg,
+            repo: targetRepo,
+            environment_name: name,
+            name: policy.name,
+            type
+          })
+        );
+      }
+      for (const policy of targetPolicies) {
+        if (sourceKeys.has(key(policy))) continue;
+        step(`remove ${policy.type ?? 'branch'} policy from ${where}: ${policy.name}`);
+        await apply(`${policy.type ?? 'branch'} policy '${policy.name}' in ${where}`, () =>
+          targetOctokit.rest.repos.deleteDeploymentBranchPolicy({
+            owner: targetOrg,
+            repo: targetRepo,
+            environment_name: name,
+            branch_policy_id: policy.id
+          })
+        );
+      }
+    }
+
+    const variables = await syncVariables(source, target, { environment: name, targetExists: exists, dryRun });
+    result.variablesCreated += variables.created;
+    result.variablesUpdated += variables.updated;
+    result.untranslated.push(...variables.failed);
+    result.missingSecrets.push(...variables.missingSecrets);
+    result.steps.push(...variables.steps);
+  }
+
+  for (const problem of result.untranslated) {
+    if (dryRun) result.steps.push(`cannot translate: ${problem}`);
+    else log.warning(`Could not translate ${problem}`);
+  }
+  if (!dryRun) {
+    log.info(
+      `✅ Environments synced: ${result.created} created, ${result.updated} updated; ` +
+        `${result.variablesCreated + result.variablesUpdated} variable(s) synced, ` +
+        `${result.missingSecrets.length} secret(s) missing on the target, ${result.untranslated.length} problem(s)`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Work out which repository settings sync-settings would change on the target
+ * @param {true|Object<string, *>} settings - `true` to inherit every supported setting, or a mapping of
+ *   setting name to `inherit` or an explicit value.
+ * @param {Object} sourceRepo - Source repository (from repos.get); only read for inherited settings.
+ * @param {Object} targetRepo - Target repository (from repos.get), or `{}` when it doesn't exist yet.
+ * @returns {Array<{setting: string, from: *, to: *}>} Settings to change, in REPO_SETTINGS order.
+ */
+export function planSettingsChanges(settings, sourceRepo, targetRepo) {
+  const changes = [];
+
+  for (const [setting, type] of Object.entries(REPO_SETTINGS)) {
+    const wanted = settings === true ? 'inherit' : settings[setting];
+    if (wanted === undefined) continue;
+
+    let to = wanted === 'inherit' ? sourceRepo[setting] : wanted;
+    let from = targetRepo[setting];
+    // Settings the source doesn't report (e.g. on older GitHub Enterprise Server) are left alone
+    if (to === undefined) continue;
+    if (type === 'string') {
+      to = to ?? '';
+      from = from ?? '';
+    }
+    if (from !== to) changes.push({ setting, from, to });
+  }
+
+  return changes;
+}
+
+/**
+ * Apply sync-settings to the target with a single repository update. A default branch excluded by
+ * the branches filter is never selected, since it isn't pushed. A failed update is logged as a
+ * warning rather than failing the repository.
+ * @param {string} source - Source repo in `owner/repo` form.
+ * @param {string} target - Target repo in `owner/repo` form.
+ * @param {Object} options
+ * @param {true|Object<string, *>} options.settings - The sync-settings value.
+ * @param {{include?: string|string[], exclude?: string|string[]}} [options.branches] - Branch filter.
+ * @param {boolean} [options.targetExists=true] - When false, every setting is treated as changed.
+ * @param {boolean} [options.dryRun=false] - When true, only report what would change.
+ * @returns {Promise<{updated: string[], error?: string, steps: string[]}>} Settings updated (or that would be).
+ */
+async function syncSettings(source, target, { settings, branches, targetExists = true, dryRun = false }) {
+  const [sourceOrg, sourceRepo] = source.split('/');
+  const [targetOrg, targetRepo] = target.split('/');
+
+  // The source is only read when at least one setting is inherited
+  const inherits = settings === true || Object.values(settings).includes('inherit');
+  const { data: sourceData } = inherits
+    ? await sourceOctokit.rest.repos.get({ owner: sourceOrg, repo: sourceRepo })
+    : { data: {} };
+  const { data: targetData } = targetExists
+    ? await targetOctokit.rest.repos.get({ owner: targetOrg, repo: targetRepo })
+    : { data: {} };
+
+  const result = { updated: [], steps: [] };
+  const updates = {};
+  const format = value => (value === undefined ? '(unset)' : JSON.stringify(value));
+
+  for (const { setting, from, to } of planSettingsChanges(settings, sourceData, targetData)) {
+    if (setting === 'default_branch' && !matchesRefFilter(to, branches)) {
+      log.warning(`Not switching the default branch to '${to}': it is excluded by the branches filter`);
+      continue;
+    }
+    updates[setting] = to;
+    result.updated.push(setting);
+    result.steps.push(`set ${setting}: ${format(from)} → ${format(to)}`);
+  }
+
+  if (dryRun) return result;
+  if (result.updated.length === 0) {
+    log.info('Repository settings already match');
+    return result;
+  }
+
+  try {
+    await targetOctokit.rest.repos.update({ owner: targetOrg, repo: targetRepo, ...updates });
+    for (const message of result.steps) log.info(`  ${message}`);
+    log.info(`✅ Repository settings synced: ${result.updated.length} setting(s) updated`);
+  } catch (error) {
+    log.warning(`Could not update repository settings: ${error.message}`);
+    return { updated: [], error: error.message, steps: result.steps };
+  }
+
+  return result;
+}
+
+// Result keys of the syncs that run after the push, and the names they're reported under
+const POST_PUSH_STEPS = [
+  ['settings', 'settings'],
+  ['releases', 'releases'],
+  ['labels', 'labels'],
+  ['milestones', 'milestones'],
+  ['issues', 'issues'],
+  ['protection', 'branch protection'],
+  ['variables', 'variables'],
+  ['environments', 'environments']
+];
+
+/**
+ * Run one of the syncs that follow the push. A failure is returned as `{success: false, error}`
+ * rather than thrown, so the refs already pushed still count and the later steps still run.
+ * @param {string} name - Name of the step, for the log.
+ * @param {() => Promise<Object>} fn - The sync.
+ * @returns {Promise<Object>} The sync's result, or `{success: false, error}`.
+ */
+async function runSyncStep(name, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    const sanitizedError = sanitizeError(error);
+    log.warning(`Failed to sync ${name}: ${sanitizedError}`);
+    return { success: false, error: sanitizedError };
+  }
+}
+
+/**
+ * Mirror a single repository from source to target: ensure the target exists,
  * optionally disable Actions / unarchive, push refs, then optionally re-archive.
+ * Git LFS objects referenced by the pushed refs are copied to the target before the refs are pushed.
+ * The syncs that follow the push (settings, releases, labels, ...) report a failure as
+ * `{success: false, error}` in their own result field instead of failing the repository.
  * @param {Object} repoConfig - Per-repository config entry from the YAML file.
  * @param {string} repoConfig.source - Source repo in `owner/repo` form.
  * @param {string} repoConfig.target - Target repo in `owner/repo` form.
@@ -461,143 +3959,1000 @@ async function archiveRepository(targetOrg, targetRepo) {
  * @param {boolean} [repoConfig.archive-after-sync=false] - Archive the target after a successful sync.
  * @param {boolean} [repoConfig.sync-repo-description=true] - Sync the source repo's description to the target.
  *   When false, the source description is not fetched and the target description is left untouched.
+ * @param {boolean} [repoConfig.sync-topics=false] - Sync the source repo's topics to the target.
+ * @param {string|string[]} [repoConfig.extra-topics] - Topics always added on the target, with or without sync-topics.
+ * @param {boolean|Object<string, *>} [repoConfig.sync-settings=false] - Repository settings to sync: `true` for
+ *   every supported setting, or a mapping of setting name to `inherit` or an explicit value.
+ * @param {Object<string, string>} [repoConfig.teams] - Team slug to permission, granted on the target.
+ * @param {Object<string, string>} [repoConfig.collaborators] - User login to permission, granted on the target.
+ * @param {boolean} [repoConfig.sync-team-access=false] - Copy the source's team permissions (slugs mapped
+ *   through `actor-mapping.teams`).
+ * @param {boolean} [repoConfig.remove-unlisted-access=false] - Remove target teams and collaborators not configured.
+ * @param {{include?: string|string[], exclude?: string|string[]}} [repoConfig.branches] - Branch name globs to push.
+ * @param {{include?: string|string[], exclude?: string|string[]}} [repoConfig.tags] - Tag name globs to push.
+ * @param {boolean} [repoConfig.prune] - Delete target refs missing from the source (defaults to the `prune` input).
+ * @param {string|string[]} [repoConfig.protected-refs] - Ref globs that pruning never deletes.
+ * @param {('skip'|'fail'|'backup')} [repoConfig.diverged-refs] - What to do with target refs that have diverged
+ *   from the source (defaults to the `diverged-refs` input, or force-pushing them with `force-push`).
+ * @param {boolean} [repoConfig.sync-wiki=false] - Enable the target wiki and mirror the source wiki into it,
+ *   when the source has a wiki with at least one page.
+ * @param {boolean} [repoConfig.sync-releases=false] - Create or update target releases (and their assets) to
+ *   match the source; with `prune`, releases removed from the source are deleted.
+ * @param {boolean} [repoConfig.sync-labels=false] - Make the target's labels match the source's.
+ * @param {boolean} [repoConfig.delete-extra-labels=false] - Also delete target labels missing from the source.
+ * @param {boolean} [repoConfig.sync-milestones=false] - Make the target's milestones match the source's.
+ * @param {boolean} [repoConfig.delete-extra-milestones=false] - Also delete target milestones missing from the source.
+ * @param {boolean} [repoConfig.sync-issues=false] - Copy issues, pull requests (as issues) and their comments.
+ * @param {boolean} [repoConfig.sync-branch-protection=false] - Recreate rulesets and classic branch protection.
+ * @param {boolean} [repoConfig.sync-variables=false] - Copy Actions variables and report secrets missing on the target.
+ * @param {boolean} [repoConfig.sync-environments=false] - Recreate deployment environments, their variables and
+ *   branch policies.
+ * @param {{teams?: Object<string, string>, apps?: Object<string, string>, users?: Object<string, string>}}
+ *   [repoConfig.actor-mapping] - Source to target team and app slugs and user logins used when translating
+ *   protection rules, environment reviewers and team access (unmapped names are kept as they are).
  * @returns {Promise<{
  *   success: boolean,
  *   repo: string,
  *   created?: boolean,
  *   visibilityUpdated?: boolean,
  *   descriptionUpdated?: boolean,
+ *   topicsUpdated?: boolean,
  *   archived?: boolean,
+ *   settings?: {updated: string[], error?: string},
+ *   access?: {granted: number, removed: number, failed: string[]},
+ *   cache?: ('hit'|'miss'),
+ *   refsPushed?: string[],
+ *   refsUnchanged?: string[],
+ *   refsSkipped?: string[],
+ *   refFilters?: boolean,
+ *   refsDiverged?: Array<{ref: string, action: string}>,
+ *   refsBackedUp?: Array<{ref: string, backupRef: string, sha: string}>,
+ *   refsDeleted?: string[],
+ *   refsProtected?: string[],
+ *   lfs?: {objects: number, bytes: number},
+ *   wiki?: {success: boolean, refsPushed?: string[], error?: string},
+ *   releases?: {created: number, updated: number, deleted: number, assetsUploaded: number, bytes: number},
+ *   labels?: {created: number, updated: number, renamed: number, deleted: number, failed: string[]},
+ *   milestones?: {created: number, updated: number, renamed: number, deleted: number, failed: string[]},
+ *   issues?: {created: number, updated: number, commentsCreated: number, commentsUpdated: number},
+ *   protection?: {rulesetsCreated: number, rulesetsUpdated: number, branchesProtected: number, untranslated: string[]},
+ *   variables?: {created: number, updated: number, failed: string[], missingSecrets: string[]},
+ *   environments?: {created: number, updated: number, variablesCreated: number, variablesUpdated: number,
+ *     untranslated: string[], missingSecrets: string[]},
  *   error?: string
  * }>} Outcome of the mirror operation.
  */
-export async function mirrorRepository(repoConfig) {
-  const {
-    source,
-    target,
-    visibility = 'private',
-    'disable-github-actions': disableActionsForRepo = true, // default to true
-    'archive-after-sync': archiveAfterSync = false, // default to false
-    'sync-repo-description': syncRepoDescription = true // default to true
-  } = repoConfig;
-  const [sourceOrg, sourceRepoName] = source.split('/');
-  const [targetOrg, targetRepoName] = target.split('/');
+export async function mirrorRepository(repoConfig) {
+  const {
+    source,
+    target,
+    visibility = REPO_DEFAULTS.visibility,
+    'disable-github-actions': disableActionsForRepo = REPO_DEFAULTS['disable-github-actions'],
+    'sync-variables': syncVariablesForRepo = REPO_DEFAULTS['sync-variables'],
+    'sync-environments': syncEnvironmentsForRepo = REPO_DEFAULTS['sync-environments'],
+    'archive-after-sync': archiveAfterSync = REPO_DEFAULTS['archive-after-sync'],
+    'sync-repo-description': syncRepoDescription = REPO_DEFAULTS['sync-repo-description'],
+    'sync-topics': syncTopics = REPO_DEFAULTS['sync-topics'],
+    'extra-topics': extraTopics,
+    'sync-settings': repoSettings = REPO_DEFAULTS['sync-settings'],
+    teams,
+    collaborators,
+    'sync-team-access': syncTeamAccess = REPO_DEFAULTS['sync-team-access'],
+    'remove-unlisted-access': removeUnlistedAccess = REPO_DEFAULTS['remove-unlisted-access'],
+    branches,
+    tags,
+    prune = PRUNE,
+    'diverged-refs': divergedRefs = DIVERGED_REFS,
+    'protected-refs': protectedRefs,
+    'sync-wiki': syncWiki = REPO_DEFAULTS['sync-wiki'],
+    'sync-releases': syncReleasesForRepo = REPO_DEFAULTS['sync-releases'],
+    'sync-labels': syncLabels = REPO_DEFAULTS['sync-labels'],
+    'delete-extra-labels': deleteExtraLabels = REPO_DEFAULTS['delete-extra-labels'],
+    'sync-milestones': syncMilestones = REPO_DEFAULTS['sync-milestones'],
+    'delete-extra-milestones': deleteExtraMilestones = REPO_DEFAULTS['delete-extra-milestones'],
+    'sync-issues': syncIssuesForRepo = REPO_DEFAULTS['sync-issues'],
+    'sync-branch-protection': syncProtection = REPO_DEFAULTS['sync-branch-protection'],
+    'actor-mapping': actorMapping
+  } = repoConfig;
+  const nameError = getRepoNameError(source, target);
+  if (nameError) {
+    log.error(`❌ ${nameError}`);
+    return { success: false, repo: target, error: nameError };
+  }
+  const [sourceOrg, sourceRepoName] = source.split('/');
+  const [targetOrg, targetRepoName] = target.split('/');
+
+  const cloneUrl = `${SOURCE_GITHUB_URL}/${source}.git`;
+
+  // Use the persistent mirror cache if configured, otherwise a fresh temporary directory
+  const useCache = Boolean(CACHE_DIR);
+  const tempDir = useCache ? undefined : mkdtempSync(join(tmpdir(), 'repo-sync-'));
+  const mirrorDir = suffix =>
+    useCache ? getCachedMirrorDir(CACHE_DIR, source, suffix) : join(tempDir, `${sourceRepoName}${suffix}`);
+  const repoDir = mirrorDir('.git');
+
+  log.info(`Processing: ${source} → ${target} (${visibility})`);
+  log.info(useCache ? `Using cached mirror: ${repoDir}` : `Using temp directory: ${tempDir}`);
+
+  // Fetch source repository description (only if we plan to sync it)
+  const description = await fetchSourceDescription(sourceOrg, sourceRepoName, syncRepoDescription);
+
+  const wikiUrl = `${SOURCE_GITHUB_URL}/${source}.wiki.git`;
+  const mirrorWikiForRepo = syncWiki && (await hasSourceWiki(sourceOrg, sourceRepoName, wikiUrl));
+  const sourceTopics = await fetchSourceTopics(sourceOrg, sourceRepoName, syncTopics);
+  const access = await resolveAccess(sourceOrg, sourceRepoName, {
+    teams,
+    collaborators,
+    syncTeamAccess,
+    removeUnlisted: removeUnlistedAccess,
+    mapping: actorMapping
+  });
+
+  // Ensure target repository exists
+  const repoStatus = await ensureRepository(targetOrg, targetRepoName, {
+    visibility,
+    description,
+    overwriteVisibility: OVERWRITE_VISIBILITY,
+    syncDescription: syncRepoDescription,
+    enableWiki: mirrorWikiForRepo,
+    topics: syncTopics || extraTopics ? { source: sourceTopics, extra: extraTopics } : undefined,
+    access
+  });
+
+  // Ensure repository is unarchived for sync (if archive option is enabled)
+  let wasArchived = false;
+  if (archiveAfterSync) {
+    log.info('Checking archive status...');
+    ({ wasArchived } = await ensureRepositoryUnarchived(targetOrg, targetRepoName));
+  }
+
+  // Disable GitHub Actions if requested
+  if (disableActionsForRepo) {
+    log.info('Disabling GitHub Actions...');
+    await disableActions(targetOrg, targetRepoName);
+  }
+
+  let result;
+  try {
+    const { cache, lfs, refs } = await withMirrorLock(repoDir, async () => {
+      const cacheStatus = await prepareMirror(cloneUrl, repoDir, useCache, {
+        credentials: sourceCredentials,
+        owner: sourceOrg
+      });
+      // LFS objects go first so the target never has pointers without their objects
+      const lfsResult = await syncLfsObjects(repoDir, source, target, { branches, tags });
+      const pushResult = await pushMirror(repoDir, target, {
+        branches,
+        tags,
+        prune,
+        protectedRefs,
+        divergedRefs,
+        targetExists: !repoStatus.created
+      });
+      return { cache: cacheStatus, lfs: lfsResult, refs: pushResult };
+    });
+
+    log.info(`✅ Successfully mirrored ${source} → ${target} (${visibility})`);
+
+    // The default branch can only be switched once it has been pushed
+    const settings = repoSettings
+      ? await runSyncStep('settings', () => syncSettings(source, target, { settings: repoSettings, branches }))
+      : undefined;
+    // Releases need their tags, so they're synced after the push
+    const releases = syncReleasesForRepo
+      ? await runSyncStep('releases', () => syncReleases(source, target, { tags, prune }))
+      : undefined;
+    const labels = syncLabels
+      ? await runSyncStep('labels', () =>
+          syncIssueItems(LABEL_SYNC, source, target, { deleteExtras: deleteExtraLabels })
+        )
+      : undefined;
+    const milestones = syncMilestones
+      ? await runSyncStep('milestones', () =>
+          syncIssueItems(MILESTONE_SYNC, source, target, { deleteExtras: deleteExtraMilestones })
+        )
+      : undefined;
+    // After labels, so copied issues pick up the synced labels
+    const issues = syncIssuesForRepo ? await runSyncStep('issues', () => syncIssues(source, target)) : undefined;
+    // Branches must exist on the target before they can be protected
+    const protection = syncProtection
+      ? await runSyncStep('branch protection', () => syncBranchProtection(source, target, { mapping: actorMapping }))
+      : undefined;
+    const variables = syncVariablesForRepo
+      ? await runSyncStep('variables', () => syncVariables(source, target))
+      : undefined;
+    // Environment branch policies and reviewers refer to branches and teams that now exist
+    const environments = syncEnvironmentsForRepo
+      ? await runSyncStep('environments', () => syncEnvironments(source, target, { mapping: actorMapping }))
+      : undefined;
+
+    // Mirror the wiki before archiving, which would make it read-only
+    const wiki = mirrorWikiForRepo
+      ? await mirrorWiki(source, target, mirrorDir('.wiki.git'), useCache, divergedRefs)
+      : undefined;
+
+    result = {
+      success: true,
+      repo: `${targetOrg}/${targetRepoName}`,
+      created: repoStatus.created,
+      visibilityUpdated: repoStatus.visibilityUpdated,
+      descriptionUpdated: repoStatus.descriptionUpdated,
+      topicsUpdated: repoStatus.topicsUpdated,
+      archived: false,
+      settings,
+      access: repoStatus.access,
+      cache,
+      refsPushed: refs.pushed,
+      refsUnchanged: refs.unchanged,
+      refsSkipped: refs.skipped,
+      refFilters: Boolean(branches || tags),
+      refsDiverged: refs.diverged,
+      refsBackedUp: refs.backups,
+      refsDeleted: refs.deleted,
+      refsProtected: refs.protected,
+      lfs,
+      wiki,
+      releases,
+      labels,
+      milestones,
+      issues,
+      protection,
+      variables,
+      environments
+    };
+  } catch (error) {
+    log.error(`❌ Failed to mirror ${source}: ${error.message}`);
+    result = {
+      success: false,
+      repo: `${targetOrg}/${targetRepoName}`,
+      error: error.message
+    };
+  } finally {
+    if (tempDir) {
+      removeDirectory(tempDir);
+      log.info(`Cleaned up temp directory: ${tempDir}`);
+    }
+
+    // Archive repository if requested; a target unarchived for the push is archived again even if the sync failed
+    if (archiveAfterSync && (result?.success || wasArchived)) {
+      log.info('Archiving repository...');
+      const archived = await archiveRepository(targetOrg, targetRepoName);
+      if (result) result.archived = archived;
+    }
+  }
+
+  return result;
+}
+
+const VISIBILITIES = ['private', 'public', 'internal'];
+// Owner and repository names as GitHub allows them, except `.` and `..`, which would point
+// outside the mirror directory
+const NAME_SEGMENT = String.raw`(?!\.\.?(?:/|$))[A-Za-z0-9_.-]+`;
+const OWNER_PATTERN = new RegExp(`^${NAME_SEGMENT}$`);
+const REPO_NAME_PATTERN = new RegExp(`^${NAME_SEGMENT}/${NAME_SEGMENT}$`);
+
+/**
+ * Check that a source and target are plain `owner/repo` names before they're used in URLs
+ * and paths. Covers names that didn't come from the validated list, like discovered repos.
+ * @returns {string|undefined} Error message, or undefined if both are valid.
+ */
+export function getRepoNameError(source, target) {
+  for (const [key, value] of [
+    ['source', source],
+    ['target', target]
+  ]) {
+    if (typeof value !== 'string' || !REPO_NAME_PATTERN.test(value)) {
+      return `Invalid ${key} '${value}': must be in 'owner/repo' format`;
+    }
+  }
+  return undefined;
+}
+
+// Allowed top-level keys in the repository list file
+const TOP_LEVEL_SCHEMA = ['defaults', 'profiles', 'repos'];
+
+// Allowed keys for each repo entry and how their values are checked. Keys that are neither
+// `perRepoOnly` nor `wildcardOnly` are settings that may also appear in `defaults:` and profiles.
+const REPO_ENTRY_SCHEMA = {
+  source: { type: 'string', perRepoOnly: true },
+  target: { type: 'string', perRepoOnly: true },
+  profile: { type: 'string-list', perRepoOnly: true },
+  visibility: { enum: VISIBILITIES },
+  'disable-github-actions': { type: 'boolean' },
+  'sync-variables': { type: 'boolean' },
+  'sync-environments': { type: 'boolean' },
+  'archive-after-sync': { type: 'boolean' },
+  'sync-repo-description': { type: 'boolean' },
+  'sync-topics': { type: 'boolean' },
+  'extra-topics': { type: 'string-list' },
+  'sync-settings': { type: 'repo-settings' },
+  teams: { type: 'permission-mapping' },
+  collaborators: { type: 'permission-mapping' },
+  'sync-team-access': { type: 'boolean' },
+  'remove-unlisted-access': { type: 'boolean' },
+  branches: { type: 'ref-filter' },
+  tags: { type: 'ref-filter' },
+  prune: { type: 'boolean' },
+  'diverged-refs': { enum: DIVERGED_REF_POLICIES },
+  'protected-refs': { type: 'string-list' },
+  'sync-wiki': { type: 'boolean' },
+  'sync-releases': { type: 'boolean' },
+  'sync-labels': { type: 'boolean' },
+  'delete-extra-labels': { type: 'boolean' },
+  'sync-milestones': { type: 'boolean' },
+  'delete-extra-milestones': { type: 'boolean' },
+  'sync-issues': { type: 'boolean' },
+  'sync-branch-protection': { type: 'boolean' },
+  'actor-mapping': { type: 'actor-mapping' },
+  optional: { type: 'boolean' },
+  'target-org': { type: 'string', wildcardOnly: true },
+  include: { type: 'string-list', wildcardOnly: true },
+  exclude: { type: 'string-list', wildcardOnly: true },
+  topics: { type: 'string-list', wildcardOnly: true },
+  'source-visibility': { enum: VISIBILITIES, list: true, wildcardOnly: true },
+  'skip-forks': { type: 'boolean', wildcardOnly: true },
+  'skip-archived': { type: 'boolean', wildcardOnly: true }
+};
+
+/**
+ * Map each value in a YAML document to its position in the source text. Paths use the
+ * same form as validation errors, e.g. `repos[0].visibility`; mapping values point at
+ * their key and sequence items at the start of the item.
+ * @param {string} content - YAML source text.
+ * @returns {Map<string, {line: number, column: number}>} 1-based positions keyed by path.
+ */
+export function getYamlPositions(content) {
+  const positions = new Map();
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const toPosition = offset => {
+    let line = lineStarts.length - 1;
+    while (line > 0 && lineStarts[line] > offset) line--;
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+
+  let events;
+  try {
+    events = yaml.parseEvents(content, {});
+  } catch {
+    return positions;
+  }
+
+  const stack = [];
+
+  // Work out the path of the node that starts at `offset`; returns null for mapping keys
+  const enterNode = (offset, keyValue) => {
+    const frame = stack[stack.length - 1];
+    if (!frame || frame.kind === 'document') return '';
+
+    let path;
+    if (frame.kind === 'sequence') {
+      path = `${frame.path}[${frame.index++}]`;
+    } else if (frame.key === undefined) {
+      frame.key = keyValue ?? '';
+      path = frame.path ? `${frame.path}.${frame.key}` : frame.key;
+      if (offset >= 0 && !positions.has(path)) positions.set(path, toPosition(offset));
+      return null;
+    } else {
+      path = frame.path ? `${frame.path}.${frame.key}` : frame.key;
+      frame.key = undefined;
+    }
+
+    if (offset >= 0 && !positions.has(path)) positions.set(path, toPosition(offset));
+    return path;
+  };
+
+  for (const event of events) {
+    switch (event.type) {
+      case yaml.EVENT_ID.DOCUMENT:
+        stack.push({ kind: 'document' });
+        break;
+      case yaml.EVENT_ID.MAPPING:
+      case yaml.EVENT_ID.SEQUENCE: {
+        const path = enterNode(event.start);
+        stack.push({
+          kind: event.type === yaml.EVENT_ID.MAPPING ? 'mapping' : 'sequence',
+          path: path ?? '',
+          index: 0
+        });
+        break;
+      }
+      case yaml.EVENT_ID.SCALAR:
+        enterNode(event.valueStart, yaml.getScalarValue(content, event));
+        break;
+      case yaml.EVENT_ID.ALIAS:
+        enterNode(event.anchorStart);
+        break;
+      case yaml.EVENT_ID.POP:
+        stack.pop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Levenshtein distance between two short strings, used for "did you mean" hints
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function unknownKeyMessage(key, knownKeys) {
+  const suggestion = knownKeys.find(known => editDistance(key, known) <= 2);
+  return `unknown key '${key}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`;
+}
+
+/**
+ * Check a single value against a schema rule
+ * @returns {string|null} Error message, or null if the value is valid.
+ */
+function checkSchemaValue(value, rule) {
+  if (rule.enum) {
+    const values = rule.list ? [].concat(value) : [value];
+    const invalid = values.find(item => !rule.enum.includes(item));
+    return invalid === undefined ? null : `must be one of ${rule.enum.join(', ')} (got '${invalid}')`;
+  }
+
+  switch (rule.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got '${value}')`;
+    case 'string':
+      return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+    case 'string-list':
+      return [].concat(value).every(item => typeof item === 'string') ? null : 'must be a string or a list of strings';
+    case 'ref-filter': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be a mapping with include and/or exclude globs';
+      }
+      const unknown = Object.keys(value).find(key => key !== 'include' && key !== 'exclude');
+      if (unknown) return unknownKeyMessage(unknown, ['include', 'exclude']);
+      const invalid = Object.values(value).some(globs => ![].concat(globs).every(item => typeof item === 'string'));
+      return invalid ? 'include and exclude must be a glob or a list of globs' : null;
+    }
+    case 'actor-mapping': {
+      const isMapping = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+      if (!isMapping(value)) return 'must be a mapping with teams, apps and/or users';
+      const kinds = ['teams', 'apps', 'users'];
+      const unknown = Object.keys(value).find(key => !kinds.includes(key));
+      if (unknown) return unknownKeyMessage(unknown, kinds);
+      const invalid = Object.values(value).some(
+        names => !isMapping(names) || !Object.values(names).every(name => typeof name === 'string')
+      );
+      return invalid ? 'teams, apps and users must map source names to target names' : null;
+    }
+    case 'permission-mapping': {
+      const isMapping = value !== null && typeof value === 'object' && !Array.isArray(value);
+      const valid = isMapping && Object.values(value).every(item => typeof item === 'string' && item.length > 0);
+      return valid ? null : 'must map names to permissions (pull, triage, push, maintain, admin, or a custom role)';
+    }
+    case 'repo-settings': {
+      if (typeof value === 'boolean') return null;
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be true, false, or a mapping of settings';
+      }
+      const known = Object.keys(REPO_SETTINGS);
+      for (const [setting, settingValue] of Object.entries(value)) {
+        if (!known.includes(setting)) return unknownKeyMessage(setting, known);
+        if (settingValue !== 'inherit' && typeof settingValue !== REPO_SETTINGS[setting]) {
+          return `${setting} must be 'inherit' or a ${REPO_SETTINGS[setting]} (got '${settingValue}')`;
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find repo entries that point at the same target (case-insensitive)
+ * @param {Object[]} entries - Repo entries.
+ * @returns {Array<{index: number, firstIndex: number, target: string}>} One item per repeated target.
+ */
+export function findDuplicateTargets(entries) {
+  const seen = new Map();
+  const duplicates = [];
 
-  const cloneUrl = `${SOURCE_GITHUB_URL}/${source}.git`;
-  const pushUrl = `${TARGET_GITHUB_URL}/${target}.git`;
+  for (const [index, entry] of entries.entries()) {
+    if (typeof entry?.target !== 'string') continue;
+    const key = entry.target.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push({ index, firstIndex: seen.get(key), target: entry.target });
+    } else {
+      seen.set(key, index);
+    }
+  }
 
-  // Set up authenticated URLs
-  const authenticatedCloneUrl = cloneUrl.replace('://', `://x-access-token:${SOURCE_GITHUB_TOKEN}@`);
+  return duplicates;
+}
 
-  // Create temporary directory for cloning
-  const tempDir = mkdtempSync(join(tmpdir(), 'repo-sync-'));
-  const repoDir = join(tempDir, `${sourceRepoName}.git`);
+/**
+ * Validate a parsed repository list against the schema before any sync starts.
+ * @param {*} config - Parsed YAML document.
+ * @param {Map<string, {line: number, column: number}>} [positions] - Positions from getYamlPositions.
+ * @returns {Array<{path: string, message: string, line?: number, column?: number}>} Validation errors (empty if valid).
+ */
+export function validateRepoList(config, positions = new Map()) {
+  const errors = [];
+  const addError = (path, message) => errors.push({ path, message, ...positions.get(path) });
+  const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
 
-  core.info(`Processing: ${source} → ${target} (${visibility})`);
-  core.info(`Using temp directory: ${tempDir}`);
+  if (!isMapping(config)) {
+    addError('', `expected a mapping with a 'repos' list`);
+    return errors;
+  }
 
-  // Fetch source repository description (only if we plan to sync it)
-  let description = '';
-  if (syncRepoDescription) {
-    try {
-      const { data: sourceRepo } = await sourceOctokit.rest.repos.get({
-        owner: sourceOrg,
-        repo: sourceRepoName
-      });
-      description = sourceRepo.description || '';
-      core.info(`Source repo description: ${description || '(no description)'}`);
-    } catch (error) {
-      core.warning(`Could not fetch source repo description: ${error.message}`);
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_SCHEMA.includes(key)) addError(key, unknownKeyMessage(key, TOP_LEVEL_SCHEMA));
+  }
+
+  // Settings blocks (`defaults:` and each profile) only accept per-repo settings
+  const settingKeys = Object.keys(REPO_ENTRY_SCHEMA).filter(
+    key => !REPO_ENTRY_SCHEMA[key].perRepoOnly && !REPO_ENTRY_SCHEMA[key].wildcardOnly
+  );
+  const validateSettings = (settings, path) => {
+    if (!isMapping(settings)) {
+      addError(path, 'must be a mapping of repository settings');
+      return;
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      if (!settingKeys.includes(key)) {
+        const message = REPO_ENTRY_SCHEMA[key]
+          ? `'${key}' can only be set on a repo entry`
+          : unknownKeyMessage(key, settingKeys);
+        addError(`${path}.${key}`, message);
+        continue;
+      }
+      const message = checkSchemaValue(value, REPO_ENTRY_SCHEMA[key]);
+      if (message) addError(`${path}.${key}`, message);
+    }
+  };
+
+  if (config.defaults !== undefined && config.defaults !== null) {
+    validateSettings(config.defaults, 'defaults');
+  }
+
+  const profiles = config.profiles ?? {};
+  if (isMapping(profiles)) {
+    for (const [name, settings] of Object.entries(profiles)) {
+      validateSettings(settings, `profiles.${name}`);
     }
   } else {
-    core.info('Skipping source description fetch (sync-repo-description=false)');
+    addError('profiles', 'must be a mapping of profile names to repository settings');
   }
 
-  // Ensure target repository exists
-  const repoStatus = await ensureRepository(
-    targetOrg,
-    targetRepoName,
-    visibility,
-    description,
-    OVERWRITE_VISIBILITY,
-    syncRepoDescription
-  );
+  if (config.repos === undefined || config.repos === null) return errors;
+  if (!Array.isArray(config.repos)) {
+    addError('repos', 'must be a list of repository entries');
+    return errors;
+  }
 
-  // Ensure repository is unarchived for sync (if archive option is enabled)
-  if (archiveAfterSync) {
-    core.info('Checking archive status...');
-    await ensureRepositoryUnarchived(targetOrg, targetRepoName);
+  for (const [index, entry] of config.repos.entries()) {
+    const path = `repos[${index}]`;
+    if (!isMapping(entry)) {
+      addError(path, 'must be a mapping with at least a source');
+      continue;
+    }
+
+    const isWildcard = typeof entry.source === 'string' && entry.source.endsWith('/*');
+
+    for (const [key, value] of Object.entries(entry)) {
+      const rule = REPO_ENTRY_SCHEMA[key];
+      if (!rule) {
+        addError(`${path}.${key}`, unknownKeyMessage(key, Object.keys(REPO_ENTRY_SCHEMA)));
+        continue;
+      }
+      if (rule.wildcardOnly && !isWildcard) {
+        addError(`${path}.${key}`, `'${key}' is only allowed with a wildcard source (owner/*)`);
+        continue;
+      }
+      const message = checkSchemaValue(value, rule);
+      if (message) addError(`${path}.${key}`, message);
+    }
+
+    if (entry.profile !== undefined && isMapping(profiles)) {
+      for (const name of [].concat(entry.profile)) {
+        if (typeof name === 'string' && !Object.hasOwn(profiles, name)) {
+          addError(`${path}.profile`, `unknown profile '${name}'`);
+        }
+      }
+    }
+
+    if (entry.source === undefined) {
+      addError(path, `missing required key 'source'`);
+    } else if (typeof entry.source === 'string') {
+      const valid = isWildcard ? OWNER_PATTERN.test(entry.source.slice(0, -2)) : REPO_NAME_PATTERN.test(entry.source);
+      if (!valid) addError(`${path}.source`, `must be in 'owner/repo' or 'owner/*' format (got '${entry.source}')`);
+    }
+
+    if (isWildcard) {
+      if (entry['target-org'] === undefined) addError(path, `missing required key 'target-org' for wildcard source`);
+      if (entry.target !== undefined) {
+        addError(`${path}.target`, `use 'target-org' instead of 'target' with a wildcard`);
+      }
+      if (typeof entry['target-org'] === 'string' && !OWNER_PATTERN.test(entry['target-org'])) {
+        addError(`${path}.target-org`, `must be an organization name (got '${entry['target-org']}')`);
+      }
+    } else if (entry.target === undefined) {
+      addError(path, `missing required key 'target'`);
+    } else if (typeof entry.target === 'string' && !REPO_NAME_PATTERN.test(entry.target)) {
+      addError(`${path}.target`, `must be in 'owner/repo' format (got '${entry.target}')`);
+    }
   }
 
-  // Disable GitHub Actions if requested
-  if (disableActionsForRepo) {
-    core.info('Disabling GitHub Actions...');
-    await disableActions(targetOrg, targetRepoName);
+  for (const { index, firstIndex, target } of findDuplicateTargets(config.repos)) {
+    addError(`repos[${index}].target`, `duplicate target '${target}' (already used by repos[${firstIndex}])`);
   }
 
-  const originalCwd = process.cwd();
+  // Keep errors in file order
+  return errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+}
 
-  try {
-    core.info(`Cloning ${cloneUrl}...`);
-    execCommand(`git clone --mirror "${authenticatedCloneUrl}" "${repoDir}"`);
+/**
+ * Report validation errors as annotations on the repository list file
+ */
+function reportValidationErrors(errors) {
+  core.error(`${REPO_LIST} has ${errors.length} error(s):`);
+  for (const { path, message, line, column } of errors) {
+    const location = line ? `${REPO_LIST}:${line}:${column}` : REPO_LIST;
+    core.error(`${location}: ${path ? `${path}: ` : ''}${message}`, {
+      title: 'Invalid repository list',
+      file: REPO_LIST,
+      startLine: line,
+      startColumn: column
+    });
+  }
+}
+
+/**
+ * Merge a repo entry over the built-in defaults, the file's `defaults:` block, and any
+ * profiles it references. Later profiles win over earlier ones; the entry wins over all.
+ * @param {Object} entry - Repo entry from the YAML file (may reference `profile`).
+ * @param {Object} [defaults={}] - The file's `defaults:` block.
+ * @param {Object} [profiles={}] - The file's `profiles:` block.
+ * @returns {Object} Effective repo config.
+ */
+export function resolveRepoConfig(entry, defaults = {}, profiles = {}) {
+  const profileSettings = [].concat(entry.profile ?? []).map(name => profiles?.[name] ?? {});
+  return Object.assign({}, REPO_DEFAULTS, defaults ?? {}, ...profileSettings, entry);
+}
+
+/**
+ * Describe a resolved repo config for the log, e.g.
+ * `Effective config (built-in < defaults < profile 'archive' < repo): visibility=internal, ...`
+ */
+function formatEffectiveConfig(repoConfig) {
+  const profiles = [].concat(repoConfig.profile ?? []).map(name => `profile '${name}'`);
+  const precedence = ['built-in', 'defaults', ...profiles, 'repo'].join(' < ');
+  const settings = Object.entries(repoConfig)
+    .filter(([key]) => !REPO_ENTRY_SCHEMA[key]?.perRepoOnly)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+  return `Effective config (${precedence}): ${settings}`;
+}
+
+// Keys that only control wildcard discovery and are not passed on to expanded repo configs
+const DISCOVERY_KEYS = [
+  'target-org',
+  'include',
+  'exclude',
+  'topics',
+  'source-visibility',
+  'skip-forks',
+  'skip-archived'
+];
 
-    process.chdir(repoDir);
+/**
+ * Convert a glob pattern to an anchored regular expression. `*` matches within a
+ * path segment, `**` matches across segments, and `?` matches a single character.
+ * @param {string} pattern - Glob pattern.
+ * @returns {RegExp} Equivalent regular expression.
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
 
-    const authenticatedPushUrl = pushUrl.replace('://', `://x-access-token:${TARGET_GITHUB_TOKEN}@`);
+/**
+ * Check whether a name matches at least one glob pattern
+ * @param {string} name - Name to test.
+ * @param {string|string[]} patterns - One or more glob patterns.
+ * @returns {boolean} True if any pattern matches.
+ */
+export function matchesGlob(name, patterns) {
+  return [].concat(patterns).some(pattern => globToRegExp(String(pattern)).test(name));
+}
 
-    // Push refs selectively (exclude pull request refs)
-    core.info(`Pushing branches and tags to ${targetOrg}/${targetRepoName}...`);
+/**
+ * Decide whether a discovered source repository passes a wildcard entry's filters.
+ * @param {Object} repo - Repository object from the list-for-org API.
+ * @param {Object} entry - Wildcard entry from the YAML file.
+ * @returns {string|null} Reason the repository was filtered out, or null if it is included.
+ */
+export function getDiscoveryFilterReason(repo, entry) {
+  const {
+    include,
+    exclude,
+    topics,
+    'source-visibility': sourceVisibility,
+    'skip-forks': skipForks = false,
+    'skip-archived': skipArchived = false
+  } = entry;
 
-    const forceFlag = FORCE_PUSH ? ' --force' : '';
+  if (skipForks && repo.fork) return 'fork';
+  if (skipArchived && repo.archived) return 'archived';
+  if (include && !matchesGlob(repo.name, include)) return 'not included';
+  if (exclude && matchesGlob(repo.name, exclude)) return 'excluded';
+  if (sourceVisibility && ![].concat(sourceVisibility).includes(repo.visibility)) {
+    return `visibility ${repo.visibility}`;
+  }
+  if (topics && !(repo.topics || []).some(topic => [].concat(topics).includes(topic))) return 'topics';
+  return null;
+}
 
-    // Try to push branches
-    try {
-      execCommand(`git push${forceFlag} "${authenticatedPushUrl}" 'refs/heads/*:refs/heads/*'`);
-      core.info('✅ Branches pushed successfully');
-    } catch (error) {
-      const sanitizedError = sanitizeError(error);
-      core.error('❌ Failed to push branches:', sanitizedError);
-      throw new Error(`Failed to push branches: ${sanitizedError}`);
+/**
+ * Expand wildcard entries (`source: org/*` with `target-org`) into one repo config per
+ * matching source repository. Other entries are passed through unchanged, and explicitly
+ * listed sources take precedence over repositories found through a wildcard.
+ * @param {Object[]} repos - Repo entries from the YAML file.
+ * @returns {Promise<Object[]>} Repo configs with every wildcard expanded.
+ */
+export async function expandRepoList(repos) {
+  const explicitSources = new Set(
+    repos.filter(entry => !String(entry.source).endsWith('/*')).map(entry => String(entry.source).toLowerCase())
+  );
+  const expanded = [];
+
+  for (const entry of repos) {
+    if (!String(entry.source).endsWith('/*')) {
+      expanded.push(entry);
+      continue;
+    }
+
+    const sourceOrg = entry.source.slice(0, -2);
+    const targetOrg = entry['target-org'];
+    if (!targetOrg) {
+      throw new Error(`Wildcard source '${entry.source}' requires a 'target-org'`);
     }
 
-    // Try to push tags
+    let orgRepos;
     try {
-      execCommand(`git push${forceFlag} "${authenticatedPushUrl}" 'refs/tags/*:refs/tags/*'`);
-      core.info('✅ Tags pushed successfully');
+      orgRepos = await ownerContext.run({ source: sourceOrg }, () =>
+        sourceOctokit.paginate(sourceOctokit.rest.repos.listForOrg, {
+          org: sourceOrg,
+          type: 'all',
+          per_page: 100
+        })
+      );
     } catch (error) {
-      const sanitizedError = sanitizeError(error);
-      core.error('❌ Failed to push tags:', sanitizedError);
-      throw new Error(`Failed to push tags: ${sanitizedError}`);
+      throw new Error(`Failed to list repositories for ${sourceOrg}: ${error.message}`);
     }
 
-    core.info(`✅ Successfully mirrored ${source} → ${target} (${visibility})`);
+    const repoConfig = Object.fromEntries(
+      Object.entries(entry).filter(([key]) => key !== 'source' && !DISCOVERY_KEYS.includes(key))
+    );
+    let matched = 0;
+    const skipped = {};
+
+    for (const repo of orgRepos) {
+      const reason = explicitSources.has(repo.full_name.toLowerCase())
+        ? 'listed explicitly'
+        : getDiscoveryFilterReason(repo, entry);
+      if (reason) {
+        skipped[reason] = (skipped[reason] || 0) + 1;
+        continue;
+      }
 
-    // Archive repository if requested
-    let archived = false;
-    if (archiveAfterSync) {
-      core.info('Archiving repository...');
-      archived = await archiveRepository(targetOrg, targetRepoName);
+      expanded.push({ ...repoConfig, source: repo.full_name, target: `${targetOrg}/${repo.name}` });
+      matched++;
     }
 
-    return {
-      success: true,
-      repo: `${targetOrg}/${targetRepoName}`,
-      created: repoStatus.created,
-      visibilityUpdated: repoStatus.visibilityUpdated,
-      descriptionUpdated: repoStatus.descriptionUpdated,
-      archived
-    };
+    const skippedSummary = Object.entries(skipped)
+      .map(([reason, count]) => `${count} ${reason}`)
+      .join(', ');
+    const skippedNote = skippedSummary ? ` (skipped: ${skippedSummary})` : '';
+    core.info(`Expanded ${entry.source} → ${targetOrg}/*: ${matched} of ${orgRepos.length} repositories${skippedNote}`);
+  }
+
+  return expanded;
+}
+
+/**
+ * Escape text for the HTML tables in the job summary
+ */
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+  return String(text).replace(/[&<>"]/g, char => entities[char]);
+}
+
+/**
+ * Parse the `failure-policy` setting
+ * @param {string} value - `continue`, `fail-fast`, `never`, or `max-failures:N` / `max-failures:N%`.
+ * @returns {{mode: string, count?: number, percent?: number}} Parsed policy.
+ * @throws {Error} If the value isn't a valid policy.
+ */
+export function parseFailurePolicy(value) {
+  const policy = String(value).trim().toLowerCase();
+  if (FAILURE_POLICIES.includes(policy)) return { mode: policy };
+
+  const match = policy.match(/^max-failures:\s*(\d+)(%?)$/);
+  const limit = Number(match?.[1]);
+  if (match && limit > 0 && (!match[2] || limit <= 100)) {
+    return match[2] ? { mode: 'max-failures', percent: limit } : { mode: 'max-failures', count: limit };
+  }
+
+  throw new Error(
+    `failure-policy must be continue, fail-fast, never, or max-failures:N (or N%) with N above 0 (got '${value}')`
+  );
+}
+
+/**
+ * Work out how many required repositories may fail before no more are started
+ * @param {{mode: string, count?: number, percent?: number}} policy - Policy from parseFailurePolicy.
+ * @param {number} total - Number of repositories in the run.
+ * @returns {number} Failures that stop the run (Infinity when every repository is always processed).
+ */
+export function getFailureLimit(policy, total) {
+  if (policy.mode === 'fail-fast') return 1;
+  if (policy.mode !== 'max-failures') return Infinity;
+  return policy.count ?? Math.max(1, Math.ceil((total * policy.percent) / 100));
+}
+
+/**
+ * Build the per-repository table of the job summary: source and target linked on their own
+ * instances, the result (with the sanitized failure reason) and what changed on the target.
+ * @param {Array<{source: string, target: string, optional?: boolean, result: Object}>} outcomes
+ *   Per-repository results.
+ * @param {boolean} [dryRun=false] - Report planned rather than completed syncs.
+ * @returns {Array<Array<string|{data: string, header: boolean}>>} Rows for core.summary.addTable, header row first.
+ */
+export function buildSummaryRows(outcomes, dryRun = false) {
+  const link = (baseUrl, repo) => `<a href="${escapeHtml(`${baseUrl}/${repo}`)}">${escapeHtml(repo)}</a>`;
+  const header = ['Source', 'Target', 'Result', 'Changes'].map(data => ({ data, header: true }));
+
+  const rows = outcomes.map(({ source, target, optional, result }) => {
+    const error = escapeHtml(sanitizeError(result.error ?? 'unknown error').replace(/\s+/g, ' '));
+    let outcome;
+    if (result.success) outcome = dryRun ? '📋 Planned' : '✅ Synced';
+    else if (result.notStarted) outcome = '⏭️ Not started';
+    else outcome = optional ? `⚠️ Failed (optional): ${error}` : `❌ Failed: ${error}`;
+    const changes = [
+      result.created && '🆕 created',
+      result.visibilityUpdated && '👁️ visibility',
+      result.descriptionUpdated && '📝 description',
+      result.archived && '📦 archived',
+      ...POST_PUSH_STEPS.filter(([key]) => result[key]?.success === false).map(([, name]) => `⚠️ ${name} failed`)
+    ].filter(Boolean);
+
+    return [link(SOURCE_GITHUB_URL, source), link(TARGET_GITHUB_URL, target), outcome, changes.join(', ') || '-'];
+  });
+
+  return [header, ...rows];
+}
+
+/**
+ * Write the run's totals and per-repository table to the GitHub Actions job summary. Does
+ * nothing outside of Actions; a summary that can't be written only logs a warning.
+ * @param {Array<{source: string, target: string, result: Object}>} outcomes - Per-repository results.
+ * @param {Object<string, number>} totals - Totals to list, keyed by label.
+ */
+async function writeJobSummary(outcomes, totals) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+
+  try {
+    await core.summary
+      .addHeading(DRY_RUN ? 'Repository sync dry run' : 'Repository sync summary', 2)
+      .addList(Object.entries(totals).map(([name, count]) => `${name}: ${count}`))
+      .addTable(buildSummaryRows(outcomes, DRY_RUN))
+      .write();
   } catch (error) {
-    core.error(`❌ Failed to mirror ${source}: ${error.message}`);
-    return {
-      success: false,
-      repo: `${targetOrg}/${targetRepoName}`,
-      error: error.message
-    };
-  } finally {
-    process.chdir(originalCwd);
-    execCommand(`rm -rf "${tempDir}"`, { ignoreErrors: true });
-    core.info(`Cleaned up temp directory: ${tempDir}`);
+    core.warning(`Could not write the job summary: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a repository was started and failed, optional or not
+ */
+function isFailure({ result }) {
+  return !result.success && !result.notStarted;
+}
+
+/**
+ * Build the JSON report written to `results-file`: run timing, totals, and every repository's
+ * result object with its own timing
+ * @param {Array<{source: string, target: string, startedAt: string, durationMs: number, result: Object}>} outcomes
+ *   Per-repository results.
+ * @param {Object} run
+ * @param {boolean} run.dryRun - Whether results are plans rather than completed syncs.
+ * @param {Date} run.startedAt - When processing started.
+ * @param {Date} run.finishedAt - When processing finished.
+ * @returns {Object} The report.
+ */
+export function buildResultsReport(outcomes, { dryRun, startedAt, finishedAt }) {
+  const successful = outcomes.filter(({ result }) => result.success);
+  const notStarted = outcomes.filter(({ result }) => result.notStarted).length;
+  const optionalFailed = outcomes.filter(outcome => isFailure(outcome) && outcome.optional).length;
+  return {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    totals: {
+      repositories: outcomes.length,
+      successful: successful.length,
+      failed: outcomes.length - successful.length - notStarted - optionalFailed,
+      optionalFailed,
+      notStarted,
+      created: successful.filter(({ result }) => result.created).length
+    },
+    repos: outcomes.map(({ source, target, optional, startedAt: repoStartedAt, durationMs, result }) => ({
+      source,
+      target,
+      ...(optional && { optional }),
+      startedAt: repoStartedAt,
+      durationMs,
+      ...result,
+      ...(result.error && { error: sanitizeError(result.error) })
+    }))
+  };
+}
+
+/**
+ * Set the action outputs and write `results-file`, so later steps can react to what was synced
+ * @param {Array<{source: string, target: string, startedAt: string, durationMs: number, result: Object}>} outcomes
+ *   Per-repository results.
+ * @param {{startedAt: Date, finishedAt: Date}} timing - When processing started and finished.
+ */
+function reportResults(outcomes, { startedAt, finishedAt }) {
+  const targets = filter => JSON.stringify(outcomes.filter(filter).map(({ target }) => target));
+  const requiredFailure = outcome => isFailure(outcome) && !outcome.optional;
+
+  core.setOutput('successful-count', outcomes.filter(({ result }) => result.success).length);
+  core.setOutput('failed-count', outcomes.filter(requiredFailure).length);
+  core.setOutput('optional-failed-count', outcomes.filter(outcome => isFailure(outcome) && outcome.optional).length);
+  core.setOutput(
+    'created-repos',
+    targets(({ result }) => result.success && result.created)
+  );
+  core.setOutput('failed-repos', targets(requiredFailure));
+
+  if (!RESULTS_FILE) return;
+  try {
+    const report = buildResultsReport(outcomes, { dryRun: DRY_RUN, startedAt, finishedAt });
+    writeFileSync(resolve(RESULTS_FILE), `${JSON.stringify(report, null, 2)}\n`);
+    core.info(`📄 Results written to ${resolve(RESULTS_FILE)}`);
+  } catch (error) {
+    core.warning(`Could not write results file: ${error.message}`);
   }
 }
 
@@ -617,7 +4972,37 @@ async function main() {
     process.exit(1);
   }
 
-  const repos = config.repos || [];
+  const validationErrors = validateRepoList(config, getYamlPositions(content));
+  if (validationErrors.length > 0) {
+    reportValidationErrors(validationErrors);
+    process.exit(1);
+  }
+
+  if (VALIDATE_ONLY) {
+    core.info(`✅ ${REPO_LIST} is valid (${(config.repos || []).length} entries)`);
+    return;
+  }
+
+  const resolvedRepos = (config.repos || []).map(entry => resolveRepoConfig(entry, config.defaults, config.profiles));
+
+  let repos;
+  try {
+    repos = await expandRepoList(resolvedRepos);
+  } catch (error) {
+    core.error(`Error expanding repository list: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Wildcards can expand onto a target that is also listed elsewhere
+  const duplicateTargets = findDuplicateTargets(repos);
+  if (duplicateTargets.length > 0) {
+    for (const { index, firstIndex, target } of duplicateTargets) {
+      core.error(
+        `Duplicate target '${target}': ${repos[firstIndex].source} and ${repos[index].source} both sync to it`
+      );
+    }
+    process.exit(1);
+  }
 
   if (repos.length === 0) {
     core.info('No repositories to process');
@@ -626,52 +5011,388 @@ async function main() {
 
   core.info(`Found ${repos.length} repositories to sync`);
 
+  if (CONCURRENCY > 1) {
+    core.info(`Syncing up to ${CONCURRENCY} repositories at a time`);
+  }
+
+  // Process repositories, at most CONCURRENCY at a time, until the failure policy says to stop
+  const failureLimit = getFailureLimit(FAILURE_POLICY, repos.length);
+  let requiredFailures = 0;
+  const startedAt = new Date();
+  const processed = await runWithConcurrency(
+    repos,
+    CONCURRENCY,
+    async repo => {
+      const displayName = `${repo.source} → ${repo.target}`;
+      const repoStartedAt = new Date();
+      let result;
+      try {
+        result = await githubGroup(displayName, async () => {
+          log.info(formatEffectiveConfig(repo));
+          const owners = { source: repo.source.split('/')[0], target: repo.target.split('/')[0] };
+          return ownerContext.run(owners, () => (DRY_RUN ? planRepository(repo) : mirrorRepository(repo)));
+        });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      if (!result.success && !repo.optional) requiredFailures++;
+      return {
+        displayName,
+        source: repo.source,
+        target: repo.target,
+        optional: Boolean(repo.optional),
+        startedAt: repoStartedAt.toISOString(),
+        durationMs: Date.now() - repoStartedAt.getTime(),
+        result
+      };
+    },
+    { shouldStop: () => requiredFailures >= failureLimit }
+  );
+  const finishedAt = new Date();
+
+  // Repositories the failure policy stopped before they were started
+  const outcomes = repos.map(
+    (repo, index) =>
+      processed[index] ?? {
+        displayName: `${repo.source} → ${repo.target}`,
+        source: repo.source,
+        target: repo.target,
+        optional: Boolean(repo.optional),
+        result: { success: false, notStarted: true, error: `Not started (failure-policy: ${FAILURE_POLICY_INPUT})` }
+      }
+  );
+  const notStarted = outcomes.filter(({ result }) => result.notStarted).length;
+  if (notStarted > 0) {
+    core.warning(
+      `Stopped after ${requiredFailures} failed repositories (failure-policy: ${FAILURE_POLICY_INPUT}); ` +
+        `${notStarted} repositories were not started`
+    );
+  }
+
   let successful = 0;
   let failed = 0;
   let created = 0;
   let updated = 0;
   let visibilityUpdated = 0;
   let descriptionUpdated = 0;
+  let topicsUpdated = 0;
+  let settingsUpdated = 0;
+  let settingsFailed = 0;
+  let accessRepos = 0;
+  const accessTotals = { granted: 0, removed: 0, failed: 0 };
   let archived = 0;
+  let refsToPush = 0;
+  let refsPushed = 0;
+  let refsUnchanged = 0;
+  let refsSkipped = 0;
+  const filteredRepos = [];
+  const divergedRefs = [];
+  let refsDeleted = 0;
+  let prunedRepos = 0;
+  let lfsRepos = 0;
+  let lfsObjects = 0;
+  let lfsBytes = 0;
+  const releaseTotals = { repos: 0, created: 0, updated: 0, deleted: 0, assetsUploaded: 0, bytes: 0 };
+  const labelTotals = { repos: 0, created: 0, updated: 0, renamed: 0, deleted: 0, failed: 0 };
+  const milestoneTotals = { repos: 0, created: 0, updated: 0, renamed: 0, deleted: 0, failed: 0 };
+  const issueTotals = { repos: 0, created: 0, updated: 0, commentsCreated: 0, commentsUpdated: 0 };
+  const protectionTotals = { repos: 0, rulesetsCreated: 0, rulesetsUpdated: 0, branchesProtected: 0 };
+  const untranslatedRules = [];
+  const variableTotals = { repos: 0, created: 0, updated: 0 };
+  const environmentTotals = { repos: 0, created: 0, updated: 0, variablesCreated: 0, variablesUpdated: 0 };
+  const untranslatedEnvironments = [];
+  const missingSecrets = [];
+  let wikisSynced = 0;
+  const failedWikis = [];
+  const failedSteps = [];
+  let cacheHits = 0;
+  let cacheMisses = 0;
   const failedRepos = [];
+  const failedOptionalRepos = [];
 
-  // Process each repository
-  for (const repo of repos) {
-    const displayName = `${repo.source} → ${repo.target}`;
-    try {
-      const result = await githubGroup(displayName, async () => {
-        return mirrorRepository(repo);
-      });
-
-      if (result.success) {
-        successful++;
-        if (result.created) created++;
-        else updated++;
-        if (result.visibilityUpdated) visibilityUpdated++;
-        if (result.descriptionUpdated) descriptionUpdated++;
-        if (result.archived) archived++;
-      } else {
-        failed++;
-        failedRepos.push({ repo: displayName, error: result.error });
+  for (const { displayName, optional, result } of outcomes) {
+    if (result.notStarted) continue;
+    if (result.success) {
+      successful++;
+      // Syncs that failed after the push are reported on their own rather than tallied
+      const synced = { ...result };
+      for (const [key, name] of POST_PUSH_STEPS) {
+        if (result[key]?.success !== false) continue;
+        failedSteps.push({ repo: displayName, step: name, error: result[key].error });
+        delete synced[key];
       }
-    } catch (error) {
+      if (result.created) created++;
+      else updated++;
+      if (result.visibilityUpdated) visibilityUpdated++;
+      if (result.descriptionUpdated) descriptionUpdated++;
+      if (result.topicsUpdated) topicsUpdated++;
+      if (synced.settings?.updated.length > 0) settingsUpdated++;
+      if (synced.settings?.error) settingsFailed++;
+      if (result.access) {
+        accessRepos++;
+        accessTotals.granted += result.access.granted;
+        accessTotals.removed += result.access.removed;
+        accessTotals.failed += result.access.failed.length;
+      }
+      if (result.archived) archived++;
+      if (result.refs) {
+        refsToPush += result.refs.filter(({ action }) => !['unchanged', 'skip', 'reject'].includes(action)).length;
+      }
+      if (result.refsPushed) refsPushed += result.refsPushed.length;
+      if (result.refsUnchanged) refsUnchanged += result.refsUnchanged.length;
+      if (result.refsSkipped) refsSkipped += result.refsSkipped.length;
+      if (result.refFilters) filteredRepos.push({ repo: displayName, ...result });
+      for (const { ref, action } of result.refsDiverged ?? []) {
+        const backup = result.refsBackedUp?.find(entry => entry.ref === ref);
+        divergedRefs.push({ repo: displayName, ref, action, backupRef: backup?.backupRef });
+      }
+      if (result.refsDeleted) {
+        prunedRepos++;
+        refsDeleted += result.refsDeleted.length;
+      }
+      if (synced.releases) {
+        releaseTotals.repos++;
+        for (const key of ['created', 'updated', 'deleted', 'assetsUploaded', 'bytes']) {
+          releaseTotals[key] += synced.releases[key];
+        }
+      }
+      for (const [totals, counts] of [
+        [labelTotals, synced.labels],
+        [milestoneTotals, synced.milestones]
+      ]) {
+        if (!counts) continue;
+        totals.repos++;
+        for (const key of ['created', 'updated', 'renamed', 'deleted']) totals[key] += counts[key];
+        totals.failed += counts.failed.length;
+      }
+      if (synced.issues) {
+        issueTotals.repos++;
+        for (const key of ['created', 'updated', 'commentsCreated', 'commentsUpdated']) {
+          issueTotals[key] += synced.issues[key];
+        }
+      }
+      if (synced.protection) {
+        protectionTotals.repos++;
+        for (const key of ['rulesetsCreated', 'rulesetsUpdated', 'branchesProtected']) {
+          protectionTotals[key] += synced.protection[key];
+        }
+        for (const problem of synced.protection.untranslated) untranslatedRules.push({ repo: displayName, problem });
+      }
+      if (synced.variables) {
+        variableTotals.repos++;
+        variableTotals.created += synced.variables.created;
+        variableTotals.updated += synced.variables.updated;
+        for (const problem of synced.variables.failed) untranslatedEnvironments.push({ repo: displayName, problem });
+      }
+      if (synced.environments) {
+        environmentTotals.repos++;
+        for (const key of ['created', 'updated', 'variablesCreated', 'variablesUpdated']) {
+          environmentTotals[key] += synced.environments[key];
+        }
+        for (const problem of synced.environments.untranslated) {
+          untranslatedEnvironments.push({ repo: displayName, problem });
+        }
+      }
+      const secrets = [...(synced.variables?.missingSecrets || []), ...(synced.environments?.missingSecrets || [])];
+      if (secrets.length > 0) missingSecrets.push({ repo: displayName, secrets });
+      if (result.wiki?.success) wikisSynced++;
+      if (result.wiki && !result.wiki.success) failedWikis.push({ repo: displayName, error: result.wiki.error });
+      if (result.lfs) {
+        lfsRepos++;
+        lfsObjects += result.lfs.objects;
+        lfsBytes += result.lfs.bytes;
+      }
+      if (result.cache === 'hit') cacheHits++;
+      if (result.cache === 'miss') cacheMisses++;
+    } else if (optional) {
+      failedOptionalRepos.push({ repo: displayName, error: result.error });
+    } else {
       failed++;
-      failedRepos.push({ repo: displayName, error: error.message });
+      failedRepos.push({ repo: displayName, error: result.error });
     }
   }
 
   // Print summary
-  core.info('\n=== SYNC SUMMARY ===');
+  const label = (done, planned) => (DRY_RUN ? planned : done);
+  core.info(`\n=== ${label('SYNC', 'DRY RUN')} SUMMARY ===`);
   core.info(`Total repositories: ${repos.length}`);
-  core.info(`✅ Successful: ${successful}`);
+  core.info(`✅ ${label('Successful', 'Planned')}: ${successful}`);
   core.info(`❌ Failed: ${failed}`);
-  core.info(`🆕 Created: ${created}`);
-  core.info(`🔄 Updated: ${updated}`);
+  if (failedOptionalRepos.length > 0) {
+    core.info(`⚠️  Failed (optional): ${failedOptionalRepos.length}`);
+  }
+  if (notStarted > 0) {
+    core.info(`⏭️  Not started: ${notStarted}`);
+  }
+  core.info(`🆕 ${label('Created', 'Would create')}: ${created}`);
+  core.info(`🔄 ${label('Updated', 'Would update')}: ${updated}`);
   if (OVERWRITE_VISIBILITY) {
-    core.info(`👁️  Visibility updated: ${visibilityUpdated}`);
+    core.info(`👁️  ${label('Visibility updated', 'Would update visibility')}: ${visibilityUpdated}`);
+  }
+  core.info(`📝 ${label('Description updated', 'Would update description')}: ${descriptionUpdated}`);
+  core.info(`🗂️  ${label('Topics updated', 'Would update topics')}: ${topicsUpdated}`);
+  core.info(`⚙️  ${label('Settings updated', 'Would update settings')}: ${settingsUpdated}`);
+  if (settingsFailed > 0) {
+    core.info(`⚠️  Settings failed: ${settingsFailed}`);
+  }
+  if (accessRepos > 0) {
+    core.info(
+      `👥 ${label('Access', 'Would change access')}: ${accessTotals.granted} granted, ${accessTotals.removed} removed`
+    );
+  }
+  if (accessTotals.failed > 0) {
+    core.info(`⚠️  Access changes failed: ${accessTotals.failed}`);
+  }
+  core.info(`📦 ${label('Archived', 'Would archive')}: ${archived}`);
+  if (DRY_RUN) {
+    core.info(`🔀 Would push refs: ${refsToPush}`);
+  } else {
+    core.info(`🔀 Refs pushed: ${refsPushed}`);
+    core.info(`🟰 Refs already up to date: ${refsUnchanged}`);
+  }
+  if (refsSkipped > 0) {
+    core.info(`⏭️  ${label('Refs skipped by filters', 'Would skip refs by filters')}: ${refsSkipped}`);
+  }
+  if (prunedRepos > 0) {
+    core.info(`🗑️  ${label('Refs deleted', 'Would delete refs')}: ${refsDeleted}`);
+  }
+  if (lfsRepos > 0) {
+    core.info(`🗃️  LFS objects synced: ${lfsObjects} (${formatBytes(lfsBytes)}) across ${lfsRepos} repo(s)`);
+  }
+  if (releaseTotals.repos > 0) {
+    const { created: releasesCreated, updated: releasesUpdated, deleted: releasesDeleted } = releaseTotals;
+    core.info(
+      `🏷️  ${label('Releases', 'Would sync releases')}: ${releasesCreated} created, ${releasesUpdated} updated, ` +
+        `${releasesDeleted} deleted; ${releaseTotals.assetsUploaded} asset(s) (${formatBytes(releaseTotals.bytes)})`
+    );
+  }
+  for (const [icon, name, totals] of [
+    ['🔖', 'Labels', labelTotals],
+    ['🎯', 'Milestones', milestoneTotals]
+  ]) {
+    if (totals.repos === 0) continue;
+    const failures = totals.failed > 0 ? `, ${totals.failed} failed` : '';
+    core.info(
+      `${icon} ${label(name, `Would sync ${name.toLowerCase()}`)}: ${totals.created} created, ` +
+        `${totals.updated} updated, ${totals.renamed} renamed, ${totals.deleted} deleted${failures}`
+    );
+  }
+  if (issueTotals.repos > 0) {
+    const comments = DRY_RUN
+      ? ''
+      : `; comments: ${issueTotals.commentsCreated} created, ${issueTotals.commentsUpdated} updated`;
+    core.info(
+      `💬 ${label('Issues', 'Would sync issues')}: ${issueTotals.created} created, ${issueTotals.updated} updated${comments}`
+    );
+  }
+  if (protectionTotals.repos > 0) {
+    core.info(
+      `🛡️  ${label('Branch protection', 'Would sync branch protection')}: ` +
+        `${protectionTotals.rulesetsCreated} ruleset(s) created, ${protectionTotals.rulesetsUpdated} updated, ` +
+        `${protectionTotals.branchesProtected} branch(es) protected; ${untranslatedRules.length} rule(s) not translated`
+    );
+  }
+  if (variableTotals.repos > 0) {
+    core.info(
+      `🔧 ${label('Variables', 'Would sync variables')}: ${variableTotals.created} created, ${variableTotals.updated} updated`
+    );
+  }
+  if (environmentTotals.repos > 0) {
+    core.info(
+      `🌎 ${label('Environments', 'Would sync environments')}: ${environmentTotals.created} created, ` +
+        `${environmentTotals.updated} updated; variables: ${environmentTotals.variablesCreated} created, ` +
+        `${environmentTotals.variablesUpdated} updated`
+    );
+  }
+  if (wikisSynced > 0 || failedWikis.length > 0) {
+    core.info(`📚 ${label('Wikis synced', 'Would sync wikis')}: ${wikisSynced}`);
+  }
+  if (failedWikis.length > 0) {
+    core.info(`⚠️  Wikis failed: ${failedWikis.length}`);
+  }
+  if (failedSteps.length > 0) {
+    core.info(`⚠️  Sync steps failed: ${failedSteps.length}`);
+  }
+  if (CACHE_DIR && !DRY_RUN) {
+    core.info(`💾 Cache hits: ${cacheHits}, misses: ${cacheMisses}`);
+  }
+
+  if (filteredRepos.length > 0 && !DRY_RUN) {
+    const preview = refs => refs.map(ref => ref.replace(/^refs\/(heads|tags)\//, '')).join(', ') || 'none';
+    core.info('\n🔀 Filtered refs:');
+    for (const { repo, refsPushed: pushed, refsUnchanged: unchanged, refsSkipped: skipped } of filteredRepos) {
+      core.info(`  • ${repo}: pushed ${preview(pushed)}; unchanged ${preview(unchanged)}; skipped ${preview(skipped)}`);
+    }
+  }
+
+  if (divergedRefs.length > 0) {
+    const describe = ({ action, backupRef }) => {
+      if (action === 'skip') return label('skipped', 'would skip');
+      if (action === 'reject') return 'would fail the repository';
+      if (action === 'backup') {
+        return DRY_RUN ? 'would back up and force-push' : `backed up to ${backupRef}, force-pushed`;
+      }
+      return label('force-pushed without a backup', 'would force-push without a backup');
+    };
+    core.info('\n⚠️  Target refs that diverged from the source:');
+    for (const entry of divergedRefs) {
+      core.info(`  • ${entry.repo}: ${entry.ref} (${describe(entry)})`);
+    }
+  }
+
+  if (untranslatedRules.length > 0) {
+    core.info('\n🛡️  Protection rules not translated:');
+    for (const { repo, problem } of untranslatedRules) {
+      core.info(`  • ${repo}: ${problem}`);
+    }
+  }
+
+  if (untranslatedEnvironments.length > 0) {
+    core.info('\n🌎 Variables and environment settings not synced:');
+    for (const { repo, problem } of untranslatedEnvironments) {
+      core.info(`  • ${repo}: ${problem}`);
+    }
+  }
+  if (missingSecrets.length > 0) {
+    core.info('\n🔑 Secrets to set on the target (values cannot be copied):');
+    for (const { repo, secrets } of missingSecrets) {
+      core.info(`  • ${repo}: ${secrets.join(', ')}`);
+    }
+  }
+  if (failedWikis.length > 0) {
+    core.info('\n⚠️  Failed wikis (the repositories themselves synced):');
+    for (const { repo, error } of failedWikis) {
+      core.info(`  • ${repo}: ${error}`);
+    }
+  }
+  if (failedSteps.length > 0) {
+    core.info('\n⚠️  Failed sync steps (the refs were pushed):');
+    for (const { repo, step, error } of failedSteps) {
+      core.info(`  • ${repo}: ${step}: ${error}`);
+    }
+  }
+
+  await writeJobSummary(outcomes, {
+    'Total repositories': repos.length,
+    [`✅ ${label('Successful', 'Planned')}`]: successful,
+    '❌ Failed': failed,
+    ...(failedOptionalRepos.length > 0 && { '⚠️ Failed (optional)': failedOptionalRepos.length }),
+    ...(notStarted > 0 && { '⏭️ Not started': notStarted }),
+    [`🆕 ${label('Created', 'Would create')}`]: created,
+    [`🔄 ${label('Updated', 'Would update')}`]: updated,
+    [`👁️ ${label('Visibility updated', 'Would update visibility')}`]: visibilityUpdated,
+    [`📝 ${label('Description updated', 'Would update description')}`]: descriptionUpdated,
+    [`📦 ${label('Archived', 'Would archive')}`]: archived,
+    ...(failedSteps.length > 0 && { '⚠️ Sync steps failed': failedSteps.length })
+  });
+  reportResults(outcomes, { startedAt, finishedAt });
+
+  if (failedOptionalRepos.length > 0) {
+    core.info('\n⚠️  Failed optional repositories (not failing the run):');
+    for (const { repo, error } of failedOptionalRepos) {
+      core.warning(`${repo}: ${error}`);
+    }
   }
-  core.info(`📝 Description updated: ${descriptionUpdated}`);
-  core.info(`📦 Archived: ${archived}`);
 
   if (failedRepos.length > 0) {
     core.info('\n❌ Failed repositories:');
@@ -679,6 +5400,10 @@ async function main() {
       core.info(`  • ${repo}: ${error}`);
     }
 
+    if (FAILURE_POLICY.mode === 'never') {
+      core.info('failure-policy is never, so the run still succeeds');
+      return;
+    }
     process.exit(1);
   }
 }